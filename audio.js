@@ -7,116 +7,377 @@
 let actx = null;
 let isMuted = false;
 
-// Master Nodes
-let masterGain, masterCompressor, masterReverb, masterLowpass;
+// Master nodes of the live context (see Master Graph)
+let liveGraph = null;
 
 // Sound states
 let ambientNoiseSource = null;
 let tickTimer = null;
+let audioFrame = null; // rAF id of modulateAudioByScroll
+let audioPageActive = true;
 let baseTickInterval = 1000;
-let lastTickTime = 0;
-
-// Expose bootstrapping function for main.js handling user gesture
-window.AudioEngine_Boot = () => {
+let lastTickTime = 0; // Context time of the last tick already handed to the audio thread
+const TICK_LOOKAHEAD = 0.1; // Seconds of ticks committed ahead of the context clock
+const TICK_SCHEDULER_INTERVAL = 25; // ms between scheduler wake-ups
+
+// Latest scroll frame from main.js (via the bus)
+const audioScroll = { intensity: 0, progress: 0 };
+
+// Mixer: sources feed these named buses, never the master nodes. A bus's gain is its design
+// level times the user's 0-1 fader from the HUD mixer (main.js persists the faders)
+const MIX_BUS_DESIGN = { ambient: 1.0, ticks: 1.0, sfx: 1.0, reverb: 1.0 }; // reverb = wet return (level set by the room)
+const mixLevels = { ambient: 1, ticks: 1, sfx: 1, reverb: 1 };
+const SFX_DRY_LEVEL = 0.35; // SFX are mostly room; this much reaches the master dry
+const mixBuses = {};
+
+// Positional audio (see Spatial Layer)
+const SPATIAL_SPREAD = 3; // Audio-space units from screen centre to a side edge
+const SPATIAL_DEPTH = 1.5; // How far in front of the listener the screen plane sits
+const spatialAnchors = new Set(); // { panner, el } pairs that follow their element
+const listenerPoint = { x: window.innerWidth / 2, y: window.innerHeight / 2 };
+let tickPanner = null;
+let sandPanner = null; // One for every grain batch, moved to the hourglass neck each time
+
+// Procedural sample data, baked behind the loader before any context exists to own it
+const AUDIO_SAMPLE_RATE = 48000;
+const bakedAudio = { rooms: {}, noise: null }; // [left, right] Float32Arrays (rooms: by name)
+
+// Acoustic spaces (see Reverb Rooms). duration/decay shape the baked IR; dry/wet set the mix.
+// Scenes pick one with data-scene-reverb, anything else sounds like the hall.
+const REVERB_ROOMS = {
+    chamber: { duration: 0.8, decay: 4.0, dry: 0.85, wet: 0.25 },
+    hall: { duration: 3.0, decay: 2.0, dry: 0.7, wet: 0.3 },
+    cathedral: { duration: 5.0, decay: 1.6, dry: 0.6, wet: 0.45 },
+    horizon: { duration: 9.0, decay: 1.0, dry: 0.45, wet: 0.6 } // The event horizon never quite lets go
+};
+const DEFAULT_REVERB_ROOM = 'hall';
+const REVERB_MORPH_TIME = 2.0; // Seconds to crossfade between rooms
+const roomBuffers = new WeakMap(); // context -> { room name: AudioBuffer }
+const noiseBuffers = new WeakMap(); // context -> AudioBuffer of bakedAudio.noise
+let activeRoom = DEFAULT_REVERB_ROOM; // Follows scene:active, also before boot
+
+// Rolling capture of the master output, played backwards on rewind (see Rewind Capture)
+const REWIND_CAPTURE_SECONDS = 6;
+const REWIND_MIN_SECONDS = 0.75; // Even an instant (calm mode) rewind gets a short reverse
+let rewindTap = null; // AudioWorkletNode, once its module has loaded
+
+// Tonal layer (see Generative Harmonic Pad)
+let padSeed = 1905; // Chronos.setPadSeed(n) re-rolls the progression
+let harmonicPad = null;
+
+// Level analysis of what reaches the speakers (see Analyser Bridge)
+const ANALYSER_BANDS = { bass: [20, 250], mid: [250, 2000], high: [2000, 12000] }; // Hz
+let liveAnalyser = null;
+let analyserBins = null;
+let analyserWave = null;
+
+// Boot on the user gesture main.js reports through the bus
+function bootAudioEngine() {
     if (actx) return; // Prevent double boot
 
     // Initialize Web Audio Context
     const AudioContextClass = window.AudioContext || window.webkitAudioContext;
-    actx = new AudioContextClass({ latencyHint: 'interactive', sampleRate: 48000 });
+    if (!AudioContextClass || !bakedAudio.noise) return; // The loader already reported it; run silent
+    actx = new AudioContextClass({ latencyHint: 'interactive', sampleRate: AUDIO_SAMPLE_RATE });
 
     // 1. Setup Master Bus routing
-    // Source -> Lowpass -> Reverb -> Compressor -> Gain -> Output
-    masterLowpass = actx.createBiquadFilter();
-    masterLowpass.type = 'lowpass';
-    masterLowpass.frequency.value = 22000; // Wide open initially
-
-    masterReverb = actx.createConvolver();
-    generateReverbImpulseResponse(actx, masterReverb, 3.0, 2.0); // 3 sec decay procedural reverb
-
-    // Dry/Wet Reverb Mixer
-    const dryGain = actx.createGain();
-    const wetGain = actx.createGain();
-    dryGain.gain.value = 0.7;
-    wetGain.gain.value = 0.3; // 30% reverb wet mix
-
-    masterLowpass.connect(dryGain);
-    masterLowpass.connect(masterReverb);
-    masterReverb.connect(wetGain);
-
-    masterCompressor = actx.createDynamicsCompressor();
-    masterCompressor.threshold.value = -24;
-    masterCompressor.knee.value = 30;
-    masterCompressor.ratio.value = 12;
-    masterCompressor.attack.value = 0.003;
-    masterCompressor.release.value = 0.25;
-
-    masterGain = actx.createGain();
-    masterGain.gain.value = 1.0; // Start at 100%
+    liveGraph = buildMasterGraph(actx, mixBuses, activeRoom);
+    liveGraph.output.gain.value = isMuted ? 0.0 : 1.0; // Start at 100% unless muted before boot
 
-    // Route Mixers to compressor
-    dryGain.connect(masterCompressor);
-    wetGain.connect(masterCompressor);
-    masterCompressor.connect(masterGain);
-    masterGain.connect(actx.destination);
+    // Ticks come from the HUD clock, wherever the head is turned
+    const clockNode = document.getElementById('global-clock');
+    tickPanner = createSpatialPanner();
+    tickPanner.connect(mixBuses.ticks);
+    liveGraph.tickOutput = tickPanner;
+    if (clockNode) anchorPanner(tickPanner, clockNode);
+
+    // Sand clicks can come every frame while scrolling, so they share one HRTF panner
+    sandPanner = createSpatialPanner();
+    sandPanner.connect(mixBuses.sfx);
+    moveListener(listenerPoint.x, listenerPoint.y);
+
+    // Tap the master output so the picture can react to the sound
+    liveAnalyser = createLevelAnalyser(liveGraph.output);
+    startRewindCapture(liveGraph);
 
     // 2. Start generative audio loops
-    startDeepSpaceAmbient();
+    ambientNoiseSource = startDeepSpaceAmbient(liveGraph);
+    harmonicPad = startHarmonicPad(liveGraph, actx.currentTime, padSeed);
+    recordSessionEvent('pad', { seed: padSeed });
     scheduleClockTick();
+    resumeSceneLayers();
 
     // 3. Bind modulation to animation frame (tied to scroll)
     modulateAudioByScroll();
 
     // Unlock confirmation
     console.log("🔊 Advanced Granular Audio Engine Unlocked. Context State: " + actx.state);
-};
+}
 
-// Expose mute toggle
-window.AudioEngine_ToggleMute = () => {
+// Mute toggle (state owned by the HUD button, mirrored here)
+function setAudioMuted(muted) {
+    isMuted = muted;
     if (!actx) return;
-    isMuted = !isMuted;
 
     const now = actx.currentTime;
     if (isMuted) {
-        masterGain.gain.setTargetAtTime(0.0, now, 0.1); // Smooth fade out
+        liveGraph.output.gain.setTargetAtTime(0.0, now, 0.1); // Smooth fade out
     } else {
-        masterGain.gain.setTargetAtTime(1.0, now, 0.1); // Smooth fade in
+        liveGraph.output.gain.setTargetAtTime(1.0, now, 0.1); // Smooth fade in
     }
-};
+}
+
+/* -------- Spatial Layer (HRTF) -------- */
+// Sources sit where their element is on screen and the listener's head follows the cursor.
+// The screen maps onto a plane SPATIAL_DEPTH in front of the listener, SPATIAL_SPREAD per
+// half-screen, so whatever is under the cursor is dead ahead and the far edge is hard left/right.
+function screenToAudioSpace(x, y) {
+    return [
+        (x / window.innerWidth * 2 - 1) * SPATIAL_SPREAD,
+        (1 - y / window.innerHeight * 2) * SPATIAL_SPREAD,
+        -SPATIAL_DEPTH
+    ];
+}
+
+// Glide = smooth the move (a tracked source); off for a fresh panner so it doesn't sweep in from 0,0,0
+function setAudioPosition(node, x, y, z, glide) {
+    if (!node.positionX) {
+        node.setPosition(x, y, z); // Older WebKit
+        return;
+    }
+    const t = actx.currentTime;
+    [[node.positionX, x], [node.positionY, y], [node.positionZ, z]].forEach(([param, value]) => {
+        if (glide) param.setTargetAtTime(value, t, 0.05);
+        else param.setValueAtTime(value, t);
+    });
+}
+
+function placePanner(panner, x, y, glide = true) {
+    const [px, py, pz] = screenToAudioSpace(x, y);
+    setAudioPosition(panner, px, py, pz, glide);
+}
+
+function createSpatialPanner(x = window.innerWidth / 2, y = window.innerHeight / 2) {
+    const panner = actx.createPanner();
+    panner.panningModel = 'HRTF';
+    panner.distanceModel = 'inverse';
+    panner.refDistance = SPATIAL_DEPTH;
+    panner.rolloffFactor = 1;
+    placePanner(panner, x, y, false);
+    return panner;
+}
+
+function elementCenter(el) {
+    const rect = el.getBoundingClientRect();
+    return [rect.left + rect.width / 2, rect.top + rect.height / 2];
+}
+
+// Keep a panner on an element while it scrolls; returns the release function
+function anchorPanner(panner, el) {
+    const anchor = { panner, el };
+    spatialAnchors.add(anchor);
+    placePanner(panner, ...elementCenter(el), false);
+    return () => spatialAnchors.delete(anchor);
+}
+
+function updateSpatialAnchors() {
+    spatialAnchors.forEach(({ panner, el }) => placePanner(panner, ...elementCenter(el)));
+}
 
-window.AudioEngine_Rewind = () => {
+// Cursor position in client pixels (via the bus)
+function moveListener(x, y) {
+    listenerPoint.x = x;
+    listenerPoint.y = y;
     if (!actx) return;
-    // Play a reversed cymbal / granular sweeping sound
-    playRewindSweep();
-};
+    const [lx, ly] = screenToAudioSpace(x, y);
+    setAudioPosition(actx.listener, lx, ly, 0, true);
+}
+
+/* -------- Master Graph -------- */
+// One routing for both the live context and an offline render:
+// Source -> Bus (ambient / ticks / sfx) -> Lowpass -> Reverb room -> Compressor -> Gain -> Output
+// buses is filled in place (the live engine passes mixBuses so the HUD faders reach it).
+// Sources take the returned graph, never the globals: { ctx, lowpass, output, buses, tickOutput }
+function buildMasterGraph(ctx, buses = {}, room = DEFAULT_REVERB_ROOM) {
+    const lowpass = ctx.createBiquadFilter();
+    lowpass.type = 'lowpass';
+    lowpass.frequency.value = 22000; // Wide open initially
+
+    // Dry/Wet Reverb Mixer (the wet side is the "reverb" bus; both levels come from the room)
+    const dryGain = ctx.createGain();
+    dryGain.gain.value = REVERB_ROOMS[room].dry;
+    buses.reverb = createMixBus(ctx, 'reverb');
+
+    // Everything that should sound in the room goes through this send
+    const reverbSend = ctx.createGain();
+
+    lowpass.connect(dryGain);
+    lowpass.connect(reverbSend);
+
+    // Source buses: ambience and ticks go through the lowpass; scene SFX skip it and are sent
+    // mostly to the room (see SFX_DRY_LEVEL below)
+    buses.ambient = createMixBus(ctx, 'ambient', lowpass);
+    buses.ticks = createMixBus(ctx, 'ticks', lowpass);
+    buses.sfx = createMixBus(ctx, 'sfx', reverbSend);
+
+    const compressor = ctx.createDynamicsCompressor();
+    compressor.threshold.value = -24;
+    compressor.knee.value = 30;
+    compressor.ratio.value = 12;
+    compressor.attack.value = 0.003;
+    compressor.release.value = 0.25;
+
+    // The live mix, ducked while a rewind plays the past over it
+    const present = ctx.createGain();
+    const output = ctx.createGain();
+
+    // SFX keep a quiet dry path after their own fader, so pulling the reverb fader down
+    // leaves them drier instead of silencing them
+    const sfxDry = ctx.createGain();
+    sfxDry.gain.value = SFX_DRY_LEVEL;
+    buses.sfx.connect(sfxDry);
+    sfxDry.connect(compressor);
+
+    // Route Mixers to compressor
+    dryGain.connect(compressor);
+    buses.reverb.connect(compressor);
+    compressor.connect(present);
+    present.connect(output);
+    output.connect(ctx.destination);
+
+    const graph = { ctx, lowpass, present, output, buses, tickOutput: buses.ticks, dryGain, reverbSend, room: null };
+    enterReverbRoom(graph, room, ctx.currentTime, 0);
+    return graph;
+}
+
+/* -------- Reverb Rooms -------- */
+// Each room is its own convolver + gain into the reverb bus. Moving to another room starts a
+// fresh pair from silence while the old one fades out, so a morph is a crossfade between two
+// convolvers (never a buffer swap under signal) and back-to-back moves can overlap freely.
+function roomBuffer(ctx, name) {
+    if (!roomBuffers.has(ctx)) roomBuffers.set(ctx, {});
+    const cache = roomBuffers.get(ctx);
+    if (!cache[name]) cache[name] = toAudioBuffer(ctx, bakedAudio.rooms[name]);
+    return cache[name];
+}
+
+function enterReverbRoom(graph, name, t = graph.ctx.currentTime, fade = REVERB_MORPH_TIME) {
+    if (!REVERB_ROOMS[name] || (graph.room && graph.room.name === name)) return;
+    const ctx = graph.ctx;
+    const room = REVERB_ROOMS[name];
+    const timeConstant = fade / 4;
+
+    const convolver = ctx.createConvolver();
+    convolver.buffer = roomBuffer(ctx, name);
+    const wet = ctx.createGain();
+    graph.reverbSend.connect(convolver);
+    convolver.connect(wet);
+    wet.connect(graph.buses.reverb);
+
+    if (fade > 0) {
+        wet.gain.setValueAtTime(0, t);
+        wet.gain.setTargetAtTime(room.wet, t, timeConstant);
+        graph.dryGain.gain.setTargetAtTime(room.dry, t, timeConstant);
+    } else {
+        wet.gain.value = room.wet;
+    }
+
+    const previous = graph.room;
+    if (previous) {
+        previous.wet.gain.setTargetAtTime(0, t, timeConstant);
+        // Offline graphs are thrown away whole; live ones drop the faded pair. The drop is timed by
+        // a silent source on the context clock, so a suspended context or a stalled page can't
+        // cut the outgoing room off before its fade has actually played
+        if (graph === liveGraph) {
+            const timer = ctx.createBufferSource();
+            timer.connect(previous.wet);
+            timer.onended = () => {
+                timer.disconnect();
+                graph.reverbSend.disconnect(previous.convolver);
+                previous.wet.disconnect();
+            };
+            timer.start(t);
+            timer.stop(t + fade * 2);
+        }
+    }
+    graph.room = { name, convolver, wet };
+}
+
+function setReverbRoom(name) {
+    if (name && !REVERB_ROOMS[name]) console.warn(`Unknown reverb room "${name}"`);
+    activeRoom = REVERB_ROOMS[name] ? name : DEFAULT_REVERB_ROOM;
+    if (!actx) return;
+    enterReverbRoom(liveGraph, activeRoom);
+    recordSessionEvent('room', { room: activeRoom });
+}
+
+/* -------- Mixer Buses -------- */
+function createMixBus(ctx, name, destination) {
+    const bus = ctx.createGain();
+    bus.gain.value = MIX_BUS_DESIGN[name] * mixLevels[name];
+    if (destination) bus.connect(destination);
+    return bus;
+}
+
+// Fader levels from the HUD mixer; may arrive before boot, in which case they apply at createMixBus
+function setMixLevels(levels) {
+    Object.keys(MIX_BUS_DESIGN).forEach((name) => {
+        if (typeof levels[name] !== 'number') return;
+        mixLevels[name] = Math.min(Math.max(levels[name], 0), 1);
+        if (mixBuses[name]) {
+            mixBuses[name].gain.setTargetAtTime(MIX_BUS_DESIGN[name] * mixLevels[name], actx.currentTime, 0.05);
+        }
+    });
+}
+
+/* -------- Slice-wise Sample Baking -------- */
+// Fills one second of samples per task and yields in between, so the loader keeps painting.
+// onSlice(count) is told how many samples each slice wrote.
+function bakeSamples(length, nextSample, onSlice) {
+    const data = new Float32Array(length);
+    let i = 0;
+    return new Promise((resolve) => {
+        const slice = () => {
+            const start = i;
+            const end = Math.min(i + AUDIO_SAMPLE_RATE, length);
+            for (; i < end; i++) data[i] = nextSample(i);
+            onSlice(end - start);
+            if (i < length) setTimeout(slice, 0);
+            else resolve(data);
+        };
+        slice();
+    });
+}
+
+// Wrap baked [left, right] data in a buffer owned by ctx
+function toAudioBuffer(ctx, channels) {
+    const buffer = ctx.createBuffer(channels.length, channels[0].length, AUDIO_SAMPLE_RATE);
+    channels.forEach((data, channel) => buffer.copyToChannel(data, channel));
+    return buffer;
+}
+
+// The baked noise as a buffer of ctx, made once per context and shared by every source
+function noiseBuffer(ctx) {
+    if (!noiseBuffers.has(ctx)) noiseBuffers.set(ctx, toAudioBuffer(ctx, bakedAudio.noise));
+    return noiseBuffers.get(ctx);
+}
 
 /* -------- procedural Impulse Response for Reverb -------- */
 // We generate a synthetic room to avoid loading external .wav files.
-function generateReverbImpulseResponse(context, convolver, duration, decay) {
-    const sampleRate = context.sampleRate;
-    const length = sampleRate * duration;
-    const impulse = context.createBuffer(2, length, sampleRate);
-    const left = impulse.getChannelData(0);
-    const right = impulse.getChannelData(1);
-
-    for (let i = 0; i < length; i++) {
-        // Generate white noise falling off exponentially
-        const n = decay;
-        left[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, n);
-        right[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, n);
-    }
-    convolver.buffer = impulse;
+function bakeReverbImpulseResponse(duration, decay, onSlice) {
+    const length = AUDIO_SAMPLE_RATE * duration;
+    // Generate white noise falling off exponentially
+    const sample = (i) => (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+    return bakeSamples(length, sample, onSlice)
+        .then(left => bakeSamples(length, sample, onSlice).then(right => [left, right]));
 }
 
 /* -------- Synthesize The Deep Space / Sub-oceanic Rumble -------- */
-function startDeepSpaceAmbient() {
-    const bufferSize = actx.sampleRate * 5; // 5 seconds of noise
-    const noiseBuffer = actx.createBuffer(2, bufferSize, actx.sampleRate);
-
-    for (let channel = 0; channel < 2; channel++) {
-        const output = noiseBuffer.getChannelData(channel);
+function bakePinkNoise(seconds, onSlice) {
+    const bakeChannel = () => {
         // Pink noise approximation for a warmer rumble
         let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
-        for (let i = 0; i < bufferSize; i++) {
+        return bakeSamples(AUDIO_SAMPLE_RATE * seconds, () => {
             let white = Math.random() * 2 - 1;
             b0 = 0.99886 * b0 + white * 0.0555179;
             b1 = 0.99332 * b1 + white * 0.0750759;
@@ -124,62 +385,63 @@ function startDeepSpaceAmbient() {
             b3 = 0.86650 * b3 + white * 0.3104856;
             b4 = 0.55000 * b4 + white * 0.5329522;
             b5 = -0.7616 * b5 - white * 0.0168980;
-            output[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+            const out = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
             b6 = white * 0.115926;
-        }
-    }
+            return out;
+        }, onSlice);
+    };
+    return bakeChannel().then(left => bakeChannel().then(right => [left, right]));
+}
 
-    ambientNoiseSource = actx.createBufferSource();
-    ambientNoiseSource.buffer = noiseBuffer;
-    ambientNoiseSource.loop = true;
+// Starts at t on graph's context; returns the looping noise source
+function startDeepSpaceAmbient(graph, t = graph.ctx.currentTime) {
+    const ctx = graph.ctx;
+    const noiseSource = ctx.createBufferSource();
+    noiseSource.buffer = noiseBuffer(ctx); // 5 seconds of noise
+    noiseSource.loop = true;
 
     // Filter it down to only low frequencies for a menacing rumble
-    const rumbleFilter = actx.createBiquadFilter();
+    const rumbleFilter = ctx.createBiquadFilter();
     rumbleFilter.type = "lowpass";
     rumbleFilter.frequency.value = 120;
     rumbleFilter.Q.value = 5;
 
     // Modulate the rumble volume over time to simulate "breathing" space
-    const rumbleGain = actx.createGain();
+    const rumbleGain = ctx.createGain();
 
     // Use an LFO to modulate volume
-    const lfo = actx.createOscillator();
+    const lfo = ctx.createOscillator();
     lfo.type = 'sine';
     lfo.frequency.value = 0.05; // One breath every 20 seconds
-    const lfoGain = actx.createGain();
+    const lfoGain = ctx.createGain();
     lfoGain.gain.value = 0.15; // Modulate by 15% amplitude
 
     lfo.connect(lfoGain);
     lfoGain.connect(rumbleGain.gain);
-    lfo.start();
+    lfo.start(t);
 
     rumbleGain.gain.value = 0.3; // Base volume
 
-    ambientNoiseSource.connect(rumbleFilter);
+    noiseSource.connect(rumbleFilter);
     rumbleFilter.connect(rumbleGain);
-    rumbleGain.connect(masterLowpass); // Send to master bus
+    rumbleGain.connect(graph.buses.ambient); // Send to the ambient bus
 
-    ambientNoiseSource.start();
+    noiseSource.start(t);
+    return noiseSource;
 }
 
 
 /* -------- Synthesize Procedural Clock Tick -------- */
 // Uses dual oscillators passed through bandpass to sound like metal clicking
-function synthMechanicalTick(intensity = 0) {
-    if (!actx || actx.state !== 'running') return;
-
-    const t = actx.currentTime;
-    const osc = actx.createOscillator();
-    const osc2 = actx.createOscillator();
-    const filter = actx.createBiquadFilter();
-    const panner = actx.createStereoPanner();
-    const gainNode = actx.createGain();
+function synthMechanicalTick(graph, intensity = 0, t = graph.ctx.currentTime) {
+    const ctx = graph.ctx;
+    const osc = ctx.createOscillator();
+    const osc2 = ctx.createOscillator();
+    const filter = ctx.createBiquadFilter();
+    const gainNode = ctx.createGain();
 
     // Randomize click character slightly each time
     const randPitch = Math.random() * 500;
-    const randPan = (Math.random() - 0.5) * 0.6; // Slight random stereo placement
-
-    panner.pan.value = randPan;
 
     // Metallic square wave snap
     osc.type = 'square';
@@ -204,9 +466,8 @@ function synthMechanicalTick(intensity = 0) {
 
     osc.connect(filter);
     osc2.connect(filter);
-    filter.connect(panner);
-    panner.connect(gainNode);
-    gainNode.connect(masterLowpass);
+    filter.connect(gainNode);
+    gainNode.connect(graph.tickOutput); // Live: heard from the HUD clock
 
     osc.start(t);
     osc2.start(t);
@@ -215,63 +476,426 @@ function synthMechanicalTick(intensity = 0) {
 }
 
 
-/* -------- Recursive Tick Scheduler tied to scroll velocity -------- */
-// Uses setTimeout to drift gracefully, rather than precision WebAudio scheduling,
-// specifically because we want the interval to fluctuate instantly when scrolling.
+/* -------- Lookahead Tick Scheduler tied to scroll velocity -------- */
+// A coarse JS timer wakes every 25ms and commits any tick due within the next 100ms to the
+// AudioContext clock, so main-thread stalls (shader, GSAP) and throttling can't jitter them.
+// Only the tick inside that window is fixed: the one after it is re-timed from the latest
+// intensity on every wake-up, so a sudden scroll speeds the clock up within one tick.
+
+// Faster scrolling = faster tick.
+// Normal: 1000ms. Max velocity: 80ms (heart palpitations)
+function tickIntervalFor(intensity) {
+    return Math.max(baseTickInterval - (intensity * 920), 80) / 1000;
+}
+
+// Also randomly play distant echoes if we are deep in the global progress
+function wantsGhostTick(progress) {
+    return progress > 0.4 && Math.random() > 0.7;
+}
+
+// performance.now() time at which a context time reaches the speakers, for visuals
+function contextTimeToPerformance(time) {
+    const stamp = actx.getOutputTimestamp ? actx.getOutputTimestamp() : {};
+    if (stamp.performanceTime) return stamp.performanceTime + (time - stamp.contextTime) * 1000;
+    return performance.now() + (time - actx.currentTime + (actx.outputLatency || actx.baseLatency || 0)) * 1000;
+}
+
+function scheduleTickAt(time, intensity, ghost) {
+    if (actx.state === 'running') synthMechanicalTick(liveGraph, intensity, time);
+    ChronosBus.emit('audio:tick', { time, at: contextTimeToPerformance(time), intensity, ghost });
+}
+
 function scheduleClockTick() {
-    if (!actx) return;
+    if (!actx || tickTimer) return;
+    lastTickTime = actx.currentTime - tickIntervalFor(audioScroll.intensity); // First tick right away
+
+    const wake = () => {
+        // Read the normalized (0-1, frame-rate independent) intensity from main.js
+        const intensity = audioScroll.intensity;
+        const horizon = actx.currentTime + TICK_LOOKAHEAD;
+        let nextTickTime = lastTickTime + tickIntervalFor(intensity);
+
+        // After a suspend or a throttled stretch, resume the beat instead of replaying it
+        if (nextTickTime < actx.currentTime) nextTickTime = actx.currentTime + 0.01;
+
+        while (nextTickTime < horizon) {
+            scheduleTickAt(nextTickTime, intensity, false);
+
+            // Play ghost tick
+            if (wantsGhostTick(audioScroll.progress)) scheduleTickAt(nextTickTime + 0.15, 0, true);
+
+            lastTickTime = nextTickTime;
+            nextTickTime += tickIntervalFor(intensity);
+        }
+    };
+
+    wake();
+    tickTimer = setInterval(wake, TICK_SCHEDULER_INTERVAL);
+}
+
 
-    // Read velocity from main.js smooth scroll tracker
-    let scrollVel = Math.abs(window.__SCROLL_MOMENTUM || 0);
+/* -------- Generative Harmonic Pad -------- */
+// Slow chords on the ambient bus. Global progress picks the harmony (nearest keyframe at or
+// below it) and eases the filter brightness between keyframes; scroll speed smears the detune.
+// Every choice comes from a PRNG seeded with padSeed and drawn once per chord on a fixed grid
+// from the moment the pad starts. The session trace logs each start and its seed, so
+// renderSoundtrack() replays the same chords in the same slots as the live pad played them.
+const PAD_CHORD_SECONDS = 8; // One chord per 8 s of context time
+const PAD_CROSSFADE = 3;
+const PAD_ROOT = 50; // MIDI note, D3
+const PAD_LEVEL = 0.06; // Per voice; a chord is four voices of two oscillators
+const PAD_HARMONY = [
+    // scale: semitones above the root; stack: scale steps between voices (2 = thirds, 1 = clusters)
+    // degrees: chord roots the PRNG picks from; brightness 0-1 opens the filter
+    { at: 0.0, scale: [0, 2, 4, 5, 7, 9, 11], stack: 2, degrees: [0, 3, 4, 5], brightness: 0.6 }, // Intro: warm major
+    { at: 0.25, scale: [0, 2, 4, 6, 7, 9, 11], stack: 2, degrees: [0, 1, 4, 6], brightness: 0.5 }, // Lydian haze
+    { at: 0.45, scale: [0, 1, 2, 3, 6, 7, 8], stack: 1, degrees: [0, 1, 2, 3, 4, 5, 6], brightness: 0.2 }, // Horizon: clusters
+    { at: 0.7, scale: [0, 1, 3, 5, 6, 8, 10], stack: 2, degrees: [0, 1, 4, 6], brightness: 0.35 }, // Locrian unease
+    { at: 0.92, scale: [0, 2, 4, 5, 7, 9, 11], stack: 2, degrees: [0], brightness: 0.8 } // Epilogue: resolved, open
+];
+
+// mulberry32: tiny, fast and good enough for music
+function createSeededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function padHarmonyAt(progress) {
+    let index = 0;
+    while (index + 1 < PAD_HARMONY.length && PAD_HARMONY[index + 1].at <= progress) index++;
+    const harmony = PAD_HARMONY[index];
+    const next = PAD_HARMONY[index + 1];
+    const blend = next ? (progress - harmony.at) / (next.at - harmony.at) : 0;
+    const brightness = harmony.brightness + (next ? (next.brightness - harmony.brightness) * blend : 0);
+    return { harmony, brightness };
+}
 
-    // Normalize scroll velocity (assume 0 to 2000 range)
-    let intensity = Math.min(scrollVel / 1500, 1.0);
+// since: when the pad really started, if earlier than t (an offline render opening mid-session).
+// The PRNG then skips the chords of the slots before t, so the grid and the draws line up.
+function startHarmonicPad(graph, t = graph.ctx.currentTime, seed = padSeed, since = t) {
+    const ctx = graph.ctx;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.Q.value = 0.7;
+    filter.frequency.value = 800;
+
+    const output = ctx.createGain();
+    output.gain.setValueAtTime(0, t);
+    output.gain.setTargetAtTime(1, t, 2.0); // Fades up under the rumble
+
+    filter.connect(output);
+    output.connect(graph.buses.ambient);
+
+    const random = createSeededRandom(seed);
+    let nextChange = since;
+    while (nextChange + PAD_CHORD_SECONDS <= t) {
+        choosePadChord(random, PAD_HARMONY[0]); // Only the number of draws matters here
+        nextChange += PAD_CHORD_SECONDS;
+    }
+
+    return { ctx, filter, output, random, chord: null, nextChange };
+}
 
-    // Faster scrolling = faster tick. 
-    // Normal: 1000ms. Max velocity: 80ms (heart palpitations)
-    let dynamicInterval = baseTickInterval - (intensity * 920);
-    dynamicInterval = Math.max(dynamicInterval, 80);
+// Every chord draws the same number of values, whatever the harmony
+function choosePadChord(random, { degrees }) {
+    const rootDegree = degrees[Math.floor(random() * degrees.length)];
+    const lift = random() < 0.5 ? 0 : 12; // Open or close voicing
+    const detunes = Array.from({ length: 8 }, (_, i) => (i % 2 ? -1 : 1) * (4 + random() * 6)); // Base chorus, in cents
+    return { rootDegree, lift, detunes };
+}
 
-    // Play tick
-    synthMechanicalTick(intensity);
+function playPadChord(pad, harmony, t) {
+    const ctx = pad.ctx;
+    const { scale, stack } = harmony;
+    const { rootDegree, lift, detunes } = choosePadChord(pad.random, harmony);
 
-    // Also randomly play distant echoes if we are deep in the global progress
-    let globalProg = window.__GLOBAL_PROGRESS || 0;
-    if (globalProg > 0.4 && Math.random() > 0.7) {
-        // Play ghost tick
-        setTimeout(() => synthMechanicalTick(0), 150);
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0, t);
+    gain.gain.setTargetAtTime(1, t, PAD_CROSSFADE / 3);
+    gain.connect(pad.filter);
+
+    const oscillators = [];
+    for (let voice = 0; voice < 4; voice++) {
+        const degree = rootDegree + voice * stack;
+        const semitone = scale[degree % scale.length] + 12 * Math.floor(degree / scale.length);
+        const note = PAD_ROOT + semitone + (voice === 3 ? lift : 0);
+        const frequency = 440 * Math.pow(2, (note - 69) / 12);
+
+        ['sawtooth', 'triangle'].forEach((type, layer) => {
+            const osc = ctx.createOscillator();
+            const level = ctx.createGain();
+            osc.type = type;
+            osc.frequency.value = frequency;
+            osc.detune.value = detunes[oscillators.length];
+            level.gain.value = PAD_LEVEL * (layer ? 1 : 0.5);
+            osc.connect(level);
+            level.connect(gain);
+            osc.start(t);
+            oscillators.push(osc);
+        });
     }
 
-    tickTimer = setTimeout(scheduleClockTick, dynamicInterval);
+    const previous = pad.chord;
+    if (previous) {
+        previous.gain.gain.setTargetAtTime(0, t, PAD_CROSSFADE / 3);
+        previous.oscillators.forEach(osc => osc.stop(t + PAD_CROSSFADE * 2));
+    }
+    pad.chord = { gain, oscillators, baseDetune: oscillators.map(osc => osc.detune.value) };
 }
 
+// Called per frame (live) or per trace frame (offline); schedules chords on the context clock
+function updateHarmonicPad(pad, progress, intensity, t) {
+    const { harmony, brightness } = padHarmonyAt(progress);
 
-/* -------- Render Loop based Audio Modulation -------- */
-function modulateAudioByScroll() {
+    while (pad.nextChange <= t + 0.1) {
+        playPadChord(pad, harmony, Math.max(pad.nextChange, t));
+        pad.nextChange += PAD_CHORD_SECONDS;
+    }
+
+    // Dark is 250 Hz, fully open 6 kHz
+    pad.filter.frequency.setTargetAtTime(250 + brightness * brightness * 5750, t, 0.5);
+
+    // Speed pulls the voices apart, up to +-40 cents
+    pad.chord.oscillators.forEach((osc, i) => {
+        const spread = (i % 2 ? -1 : 1) * intensity * 40;
+        osc.detune.setTargetAtTime(pad.chord.baseDetune[i] + spread, t, 0.2);
+    });
+}
+
+function stopHarmonicPad(pad, t = pad.ctx.currentTime) {
+    pad.output.gain.setTargetAtTime(0, t, 0.5);
+    // No chord yet if the pad never saw an update (stopped right after it started)
+    if (pad.chord) pad.chord.oscillators.forEach(osc => osc.stop(t + 3));
+}
+
+// For the sound designer: same seed, same progression
+function setPadSeed(seed) {
+    padSeed = Number(seed) >>> 0;
     if (!actx) return;
+    stopHarmonicPad(harmonicPad);
+    harmonicPad = startHarmonicPad(liveGraph, actx.currentTime, padSeed);
+    recordSessionEvent('pad', { seed: padSeed });
+}
 
-    let scrollVel = Math.abs(window.__SCROLL_MOMENTUM || 0);
-    let intensity = Math.min(scrollVel / 1000, 1.0);
+/* -------- Render Loop based Audio Modulation -------- */
+// As you scroll fast, muffle the entire world (Time Dilation Audio Effect)
+function applyScrollMuffle(graph, scrollIntensity, t) {
+    // Muffling saturates a little before the tick does
+    const intensity = Math.min(scrollIntensity * 1.5, 1.0);
 
-    // As you scroll fast, muffle the entire world (Time Dilation Audio Effect)
     // Map intensity 0.0->1.0 to frequencies 22000Hz -> 500Hz
     const targetFreq = 22000 - (intensity * 21500);
 
     // Smooth filter transition
-    const t = actx.currentTime;
-    masterLowpass.frequency.setTargetAtTime(targetFreq, t, 0.1);
+    graph.lowpass.frequency.setTargetAtTime(targetFreq, t, 0.1);
+}
+
+function modulateAudioByScroll() {
+    if (!actx) return;
 
-    requestAnimationFrame(modulateAudioByScroll);
+    applyScrollMuffle(liveGraph, audioScroll.intensity, actx.currentTime);
+    updateHarmonicPad(harmonicPad, audioScroll.progress, audioScroll.intensity, actx.currentTime);
+
+    // Scrolling moves anchored sources across the screen
+    updateSpatialAnchors();
+
+    // And the sound feeds back into the picture
+    ChronosBus.emit('audio:levels', readAudioLevels());
+
+    audioFrame = requestAnimationFrame(modulateAudioByScroll);
+}
+
+/* -------- Analyser Bridge -------- */
+// Post-mute, so a muted world stops pulsing too. Levels are 0-1 and already smoothed by the
+// analyser, so listeners can use them directly per frame.
+function createLevelAnalyser(source) {
+    const analyser = source.context.createAnalyser();
+    analyser.fftSize = 2048;
+    analyser.smoothingTimeConstant = 0.8;
+    analyser.minDecibels = -90;
+    analyser.maxDecibels = -20;
+    source.connect(analyser);
+
+    analyserBins = new Uint8Array(analyser.frequencyBinCount);
+    analyserWave = new Float32Array(analyser.fftSize);
+    return analyser;
+}
+
+function readAudioLevels() {
+    liveAnalyser.getByteFrequencyData(analyserBins);
+    liveAnalyser.getFloatTimeDomainData(analyserWave);
+
+    const binWidth = actx.sampleRate / liveAnalyser.fftSize;
+    const levels = {};
+    Object.entries(ANALYSER_BANDS).forEach(([band, [low, high]]) => {
+        const from = Math.max(1, Math.floor(low / binWidth));
+        const to = Math.min(analyserBins.length - 1, Math.ceil(high / binWidth));
+        let sum = 0;
+        for (let i = from; i <= to; i++) sum += analyserBins[i];
+        levels[band] = sum / ((to - from + 1) * 255);
+    });
+
+    let square = 0;
+    for (let i = 0; i < analyserWave.length; i++) square += analyserWave[i] * analyserWave[i];
+    // Full-scale sine = 0.707; scale so a loud mix reads near 1
+    levels.rms = Math.min(Math.sqrt(square / analyserWave.length) * 2, 1);
+    return levels;
+}
+
+/* -------- Page Lifecycle -------- */
+// While the page is hidden nothing is synthesized unheard: the scheduler and the modulation
+// loop stop and the context is suspended. On return the beat restarts from "now".
+function setAudioActive(active) {
+    audioPageActive = active;
+    if (!actx) return;
+
+    if (active) {
+        actx.resume().then(() => {
+            if (!audioPageActive) return; // Hidden again before the context came back
+            scheduleClockTick();
+            if (!audioFrame) modulateAudioByScroll();
+        });
+    } else {
+        clearInterval(tickTimer);
+        tickTimer = null;
+        cancelAnimationFrame(audioFrame);
+        audioFrame = null;
+        actx.suspend();
+    }
+}
+
+/* -------- Rewind Capture (AudioWorklet) -------- */
+// The processor keeps the last REWIND_CAPTURE_SECONDS of the mix in a ring buffer. On
+// "rewind" it stops writing and reads backwards from the newest sample, speeding up from 1x
+// (speed = 1 + k * x^2 over the duration, k chosen so the whole capture is used up), then
+// forgets what it played and starts capturing again. Too little captured: it declines.
+const REWIND_WORKLET_SOURCE = `
+class ChronosRewindProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.size = Math.floor(options.processorOptions.seconds * sampleRate);
+        this.ring = [new Float32Array(this.size), new Float32Array(this.size)];
+        this.write = 0;
+        this.filled = 0;
+        this.reverse = null;
+        this.port.onmessage = ({ data }) => {
+            if (data.type === 'rewind') this.startReverse(data.duration);
+        };
+    }
+
+    startReverse(duration) {
+        if (this.reverse || this.filled < sampleRate * 0.5) {
+            this.port.postMessage({ type: 'declined' });
+            return;
+        }
+        const length = Math.floor(duration * sampleRate);
+        // Consumes length * (1 + k / 3) samples in total
+        const k = Math.min(Math.max(3 * (this.filled / length - 1), 0), 12);
+        this.reverse = { read: this.write, left: this.filled, elapsed: 0, length, k };
+        this.port.postMessage({ type: 'reversing', duration });
+    }
+
+    process(inputs, outputs) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const frames = output[0].length;
+        const reverse = this.reverse;
+
+        if (!reverse) {
+            for (let i = 0; i < frames; i++) {
+                this.ring[0][this.write] = input[0] ? input[0][i] : 0;
+                this.ring[1][this.write] = input[1] ? input[1][i] : this.ring[0][this.write];
+                this.write = (this.write + 1) % this.size;
+            }
+            this.filled = Math.min(this.filled + frames, this.size);
+            return true;
+        }
+
+        for (let i = 0; i < frames; i++) {
+            if (reverse.elapsed >= reverse.length || reverse.left < 2) {
+                this.reverse = null;
+                this.filled = 0;
+                break;
+            }
+            const x = reverse.elapsed / reverse.length;
+            const speed = 1 + reverse.k * x * x;
+            reverse.read -= speed;
+            reverse.left -= speed;
+
+            const pos = ((reverse.read % this.size) + this.size) % this.size;
+            const i0 = Math.floor(pos);
+            const i1 = (i0 + 1) % this.size;
+            const frac = pos - i0;
+            // Short fades so jumping into and out of the past doesn't click
+            const envelope = Math.min(1, reverse.elapsed / 256, (reverse.length - reverse.elapsed) / 2048, reverse.left / 2048);
+            for (let c = 0; c < output.length; c++) {
+                const ring = this.ring[Math.min(c, 1)];
+                output[c][i] = (ring[i0] + (ring[i1] - ring[i0]) * frac) * envelope;
+            }
+            reverse.elapsed++;
+        }
+        return true;
+    }
+}
+
+registerProcessor('chronos-rewind', ChronosRewindProcessor);
+`;
+
+// Captures the present mix and plays back beside it, into the output, so the reverse is never recaptured
+function startRewindCapture(graph) {
+    if (!actx.audioWorklet || !window.AudioWorkletNode) return; // The synthetic sweep stays the rewind sound
+
+    const url = URL.createObjectURL(new Blob([REWIND_WORKLET_SOURCE], { type: 'application/javascript' }));
+    actx.audioWorklet.addModule(url)
+        .then(() => {
+            rewindTap = new AudioWorkletNode(actx, 'chronos-rewind', {
+                numberOfInputs: 1,
+                numberOfOutputs: 1,
+                outputChannelCount: [2],
+                processorOptions: { seconds: REWIND_CAPTURE_SECONDS }
+            });
+            rewindTap.port.onmessage = ({ data }) => {
+                if (data.type === 'reversing') duckPresent(graph, data.duration);
+                else if (data.type === 'declined') playRewindSweep(graph);
+            };
+            graph.present.connect(rewindTap);
+            rewindTap.connect(graph.output);
+        })
+        .catch((err) => console.warn("Rewind capture unavailable, using the synthetic sweep", err))
+        .then(() => URL.revokeObjectURL(url));
+}
+
+function duckPresent(graph, duration) {
+    const t = graph.ctx.currentTime;
+    graph.present.gain.cancelScheduledValues(t);
+    graph.present.gain.setTargetAtTime(0.15, t, 0.05);
+    graph.present.gain.setTargetAtTime(1.0, t + duration, 0.3);
+}
+
+function playRewind(duration) {
+    recordSessionEvent('rewind');
+    if (!rewindTap) {
+        playRewindSweep(liveGraph);
+        return;
+    }
+    rewindTap.port.postMessage({ type: 'rewind', duration: Math.max(duration, REWIND_MIN_SECONDS) });
 }
 
 /* -------- Special Event: The Rewind Glitch -------- */
-function playRewindSweep() {
-    const t = actx.currentTime;
+// The synthetic fallback (no AudioWorklet, nothing captured yet) and the offline render's rewind
+function playRewindSweep(graph, t = graph.ctx.currentTime) {
+    const ctx = graph.ctx;
 
     // Synthetic rising/falling noise sweep
-    const osc = actx.createOscillator();
-    const filter = actx.createBiquadFilter();
-    const gain = actx.createGain();
+    const osc = ctx.createOscillator();
+    const filter = ctx.createBiquadFilter();
+    const gain = ctx.createGain();
 
     osc.type = 'sawtooth';
     osc.frequency.setValueAtTime(50, t);
@@ -289,20 +913,22 @@ function playRewindSweep() {
 
     osc.connect(filter);
     filter.connect(gain);
-    gain.connect(masterReverb); // Send fully to reverb for massive scale
+    gain.connect(graph.buses.sfx); // Send fully to reverb for massive scale
 
     osc.start(t);
     osc.stop(t + 3.0);
 }
 
 /* -------- SPECIFIC SCENE EFFECTS -------- */
-window.AudioEngine_PlaySandClick = () => {
+// x, y: where the grains leave the hourglass neck, in client pixels
+function playSandClick(x, y) {
     if (!actx || actx.state !== 'running') return;
 
     const t = actx.currentTime;
     const osc = actx.createOscillator();
     const gainNode = actx.createGain();
     const filter = actx.createBiquadFilter();
+    placePanner(sandPanner, x, y);
 
     osc.type = 'triangle';
     osc.frequency.setValueAtTime(6000 + Math.random() * 2000, t);
@@ -317,39 +943,466 @@ window.AudioEngine_PlaySandClick = () => {
 
     osc.connect(filter);
     filter.connect(gainNode);
-    gainNode.connect(masterReverb);
+    gainNode.connect(sandPanner);
 
     osc.start(t);
     osc.stop(t + 0.05);
+}
+
+/* -------- SCENE SOUNDSCAPES -------- */
+// Sections opt in with data-scene-audio="<layer> [<layer>...]" (read by main.js's scene registry).
+// A layer starts when its section comes on screen (scene:enter), follows the same on-screen
+// progress the visuals get (scene:progress) - faded in over the first fifth and out over the
+// last, so neighbouring scenes crossfade - and is released on scene:leave.
+// Drones and textures sustain for as long as the scene is visible; one-shots fire once per entry.
+//
+// recipe.build(output, t) wires its sources into output (a per-layer gain the engine fades)
+// and returns { update(progress, t)?, stop(t) }. recipe.anchor (a selector inside the section)
+// makes the layer positional: it is heard from that element, following it as it scrolls.
+const SCENE_LAYERS = {
+    // Quantum Tunnel: a continuous low-level hum
+    'quantum-hum': {
+        type: 'drone', bus: 'ambient', level: 0.2,
+        build(output, t) {
+            // Low frequency dissonance
+            const osc = actx.createOscillator();
+            osc.type = 'sine';
+            osc.frequency.setValueAtTime(45.0, t); // 45 Hz deep sub
+            osc.detune.setValueAtTime(12, t);
+            osc.connect(output);
+            osc.start(t);
+            return { stop: (when) => osc.stop(when) };
+        }
+    },
+
+    // Event Horizon: a detuned pair that red-shifts two octaves as you fall in
+    'horizon-drone': {
+        type: 'drone', bus: 'ambient', level: 0.12, anchor: '.black-hole-visual',
+        build(output, t) {
+            const filter = actx.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.Q.value = 4;
+            filter.connect(output);
+
+            const oscs = [0, 7].map((detune) => {
+                const osc = actx.createOscillator();
+                osc.type = 'sawtooth';
+                osc.frequency.setValueAtTime(110, t);
+                osc.detune.setValueAtTime(detune, t);
+                osc.connect(filter);
+                osc.start(t);
+                return osc;
+            });
+
+            return {
+                update(progress, now) {
+                    oscs.forEach(osc => osc.frequency.setTargetAtTime(110 * Math.pow(0.25, progress), now, 0.2));
+                    filter.frequency.setTargetAtTime(900 - progress * 780, now, 0.2);
+                },
+                stop: (when) => oscs.forEach(osc => osc.stop(when))
+            };
+        }
+    },
+
+    // Endless Corridor: a soft ping lost in a feedback delay that stretches with the scroll
+    'corridor-echo': {
+        type: 'texture', bus: 'ambient', level: 0.15,
+        build(output, t) {
+            const osc = actx.createOscillator();
+            const gate = actx.createGain();
+            const pulse = actx.createOscillator();
+            const delay = actx.createDelay(1.0);
+            const feedback = actx.createGain();
+
+            osc.type = 'triangle';
+            osc.frequency.value = 660;
+
+            // A square LFO opens the gate for half of every 2 s, the delay does the rest
+            pulse.type = 'square';
+            pulse.frequency.value = 0.5;
+            gate.gain.value = 0.5;
+            pulse.connect(gate.gain);
+
+            delay.delayTime.value = 0.375;
+            feedback.gain.value = 0.6;
+
+            osc.connect(gate);
+            gate.connect(delay);
+            delay.connect(feedback);
+            feedback.connect(delay);
+            gate.connect(output);
+            delay.connect(output);
+
+            osc.start(t);
+            pulse.start(t);
+
+            return {
+                update(progress, now) {
+                    delay.delayTime.setTargetAtTime(0.3 + progress * 0.15, now, 0.5);
+                },
+                stop(when) {
+                    osc.stop(when);
+                    pulse.stop(when);
+                    feedback.gain.setTargetAtTime(0, when, 0.1); // Let the tail die instead of ringing on
+                }
+            };
+        }
+    },
+
+    // Persistence of Memory: the rumble noise through a sagging, wobbling band
+    'melting-texture': {
+        type: 'texture', bus: 'ambient', level: 0.5, anchor: '#dali-canvas',
+        build(output, t) {
+            const noise = actx.createBufferSource();
+            const band = actx.createBiquadFilter();
+            const wobble = actx.createOscillator();
+            const wobbleDepth = actx.createGain();
+
+            noise.buffer = noiseBuffer(actx);
+            noise.loop = true;
+
+            band.type = 'bandpass';
+            band.frequency.value = 1200;
+            band.Q.value = 8;
+
+            wobble.frequency.value = 0.1;
+            wobbleDepth.gain.value = 150;
+            wobble.connect(wobbleDepth);
+            wobbleDepth.connect(band.frequency);
+
+            noise.connect(band);
+            band.connect(output);
+            noise.start(t);
+            wobble.start(t);
+
+            return {
+                update(progress, now) {
+                    band.frequency.setTargetAtTime(1200 - progress * 900, now, 0.3);
+                },
+                stop(when) {
+                    noise.stop(when);
+                    wobble.stop(when);
+                }
+            };
+        }
+    },
+
+    // Epilogue: one struck bell, inharmonic partials decaying at their own pace
+    'epilogue-chime': {
+        type: 'oneshot', bus: 'sfx', level: 0.3, anchor: '#fingerprint-canvas',
+        build(output, t) {
+            [[1, 4.0], [2.76, 2.5], [5.4, 1.2]].forEach(([ratio, decay]) => {
+                const osc = actx.createOscillator();
+                const env = actx.createGain();
+                osc.frequency.value = 523.25 * ratio;
+                env.gain.setValueAtTime(0, t);
+                env.gain.linearRampToValueAtTime(1 / ratio, t + 0.005);
+                env.gain.exponentialRampToValueAtTime(0.001, t + decay);
+                osc.connect(env);
+                env.connect(output);
+                osc.start(t);
+                osc.stop(t + decay);
+            });
+            return { stop() { } };
+        }
+    }
 };
 
-// Start a continuous low-level hum for Quantum Tunnel scene
-let quantumHumSource, quantumHumGain;
-window.AudioEngine_StartQuantumHum = () => {
-    if (!actx || quantumHumSource) return;
+const SCENE_LAYER_FADE = 0.2; // Share of a scene's on-screen progress spent fading in, and out
+const scenePresence = new Map(); // scene id -> { scene, progress }, while any of it is on screen
+const sceneVoices = new Map(); // "scene id/layer" -> { scene, gain, voice, recipe, unanchor }
+
+function sceneLayerNames(scene) {
+    return String(scene.config.audio || '').split(/\s+/).filter((name) => {
+        if (name && !SCENE_LAYERS[name]) console.warn(`Unknown scene audio layer "${name}" on #${scene.id}`);
+        return !!SCENE_LAYERS[name];
+    });
+}
+
+function sceneLayerEnvelope(progress) {
+    return Math.max(0, Math.min(1, progress / SCENE_LAYER_FADE, (1 - progress) / SCENE_LAYER_FADE));
+}
+
+function startSceneLayers(scene, progress) {
+    if (!actx) return;
     const t = actx.currentTime;
 
-    quantumHumSource = actx.createOscillator();
-    quantumHumGain = actx.createGain();
+    sceneLayerNames(scene).forEach((name) => {
+        const key = `${scene.id}/${name}`;
+        if (sceneVoices.has(key)) return;
+
+        const recipe = SCENE_LAYERS[name];
+        const gain = actx.createGain();
+        const anchorEl = recipe.anchor ? scene.el.querySelector(recipe.anchor) : null;
+        let unanchor = null;
+
+        if (anchorEl) {
+            const panner = createSpatialPanner();
+            gain.connect(panner);
+            panner.connect(mixBuses[recipe.bus]);
+            if (recipe.type === 'oneshot') placePanner(panner, ...elementCenter(anchorEl), false);
+            else unanchor = anchorPanner(panner, anchorEl);
+        } else {
+            gain.connect(mixBuses[recipe.bus]);
+        }
 
-    // Low frequency dissonance
-    quantumHumSource.type = 'sine';
-    quantumHumSource.frequency.setValueAtTime(45.0, t); // 45 Hz deep sub
-    quantumHumSource.detune.setValueAtTime(12, t);
+        if (recipe.type === 'oneshot') {
+            gain.gain.value = recipe.level;
+            recipe.build(gain, t);
+            return;
+        }
 
-    quantumHumGain.gain.setValueAtTime(0, t);
-    quantumHumGain.gain.linearRampToValueAtTime(0.2, t + 2.0); // fade in 2s
+        gain.gain.setValueAtTime(0, t);
+        sceneVoices.set(key, { scene, gain, voice: recipe.build(gain, t), recipe, unanchor });
+    });
+    updateSceneLayers(scene, progress);
+}
 
-    quantumHumSource.connect(quantumHumGain);
-    quantumHumGain.connect(masterLowpass);
-    quantumHumSource.start(t);
-};
+function updateSceneLayers(scene, progress) {
+    if (!actx) return;
+    const t = actx.currentTime;
+
+    sceneVoices.forEach(({ scene: owner, gain, voice, recipe }) => {
+        if (owner.id !== scene.id) return;
+        gain.gain.setTargetAtTime(recipe.level * sceneLayerEnvelope(progress), t, 0.15);
+        if (voice.update) voice.update(progress, t);
+    });
+}
+
+function releaseSceneLayers(scene) {
+    if (!actx) return;
+    const t = actx.currentTime;
+
+    sceneVoices.forEach(({ scene: owner, gain, voice, unanchor }, key) => {
+        if (owner.id !== scene.id) return;
+        gain.gain.setTargetAtTime(0, t, 0.3);
+        voice.stop(t + 1.5);
+        if (unanchor) setTimeout(unanchor, 1500); // Keep tracking through the fade-out
+        sceneVoices.delete(key);
+    });
+}
 
-window.AudioEngine_StopQuantumHum = () => {
-    if (quantumHumSource && quantumHumGain) {
-        const t = actx.currentTime;
-        quantumHumGain.gain.linearRampToValueAtTime(0.001, t + 1.0);
-        quantumHumSource.stop(t + 1.0);
-        quantumHumSource = null;
+// Scenes already on screen when the context boots (e.g. a deep link) start right away
+function resumeSceneLayers() {
+    scenePresence.forEach(({ scene, progress }) => startSceneLayers(scene, progress));
+}
+
+/* -------- Session Recorder -------- */
+// While the live engine runs, the scroll trace (20 Hz) and one-off events are logged against
+// the context clock, so renderSoundtrack() can replay the visit offline. Only the stretch a
+// render can use is kept, so a long visit doesn't grow the trace without end.
+const SESSION_TRACE_INTERVAL = 0.05;
+const SESSION_RENDER_LIMIT = 180; // Longest render in seconds (the most recent stretch)
+const SESSION_TRIM_SLACK = 10; // Trim in batches, not every frame
+const SESSION_STATE_EVENTS = ['room', 'pad']; // The latest of these still applies after it ages out
+const sessionTrace = { frames: [], events: [] };
+
+function recordScrollFrame(intensity, progress) {
+    if (!actx) return;
+    const t = actx.currentTime;
+    const frames = sessionTrace.frames;
+    const last = frames[frames.length - 1];
+    if (last && t - last.t < SESSION_TRACE_INTERVAL) return;
+    frames.push({ t, intensity, progress });
+    if (t - frames[0].t > SESSION_RENDER_LIMIT + SESSION_TRIM_SLACK) trimSessionTrace(t - SESSION_RENDER_LIMIT);
+}
+
+// Drops everything older than cutoff, except the last state event of each type before it
+// (the room the render has to open in, the pad start and seed it picks up from)
+function trimSessionTrace(cutoff) {
+    sessionTrace.frames.splice(0, sessionTrace.frames.findIndex(frame => frame.t >= cutoff));
+    const carried = {};
+    sessionTrace.events.forEach((event) => {
+        if (event.t < cutoff && SESSION_STATE_EVENTS.includes(event.type)) carried[event.type] = event;
+    });
+    sessionTrace.events = sessionTrace.events.filter(event => event.t >= cutoff || carried[event.type] === event);
+}
+
+function recordSessionEvent(type, detail = {}) {
+    if (actx) sessionTrace.events.push({ t: actx.currentTime, type, ...detail });
+}
+
+/* -------- Offline Render (WAV Export) -------- */
+// Replays the recorded session through the same master graph in an OfflineAudioContext -
+// rumble, harmonic pad, scroll-driven ticks and muffling, rewinds, reverb rooms - at the current mixer
+// levels, and downloads 16-bit WAV. Scene layers, positional panning and the reversed
+// capture are live-only (a rewind renders as the synthetic sweep).
+function renderSoundtrack({ download = true } = {}) {
+    const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const frames = sessionTrace.frames;
+    if (!OfflineContextClass || !bakedAudio.noise) {
+        return Promise.reject(new Error("Offline audio rendering not supported"));
     }
-};
+    if (!frames.length) return Promise.reject(new Error("Nothing recorded yet"));
+
+    const end = frames[frames.length - 1].t;
+    const start = Math.max(frames[0].t, end - SESSION_RENDER_LIMIT);
+    const span = end - start;
+
+    // The room the trimmed session opens in, and the one it ends in
+    const rooms = sessionTrace.events.filter(event => event.type === 'room');
+    const roomAt = (t) => rooms.reduce((room, event) => (event.t <= t ? event.room : room), DEFAULT_REVERB_ROOM);
+    const tail = Math.max(4.0, REVERB_ROOMS[roomAt(end)].duration); // Let the reverb and a late rewind sweep ring out
+
+    const ctx = new OfflineContextClass(2, Math.ceil((span + tail) * AUDIO_SAMPLE_RATE), AUDIO_SAMPLE_RATE);
+    const graph = buildMasterGraph(ctx, {}, roomAt(start));
+    startDeepSpaceAmbient(graph, 0);
+
+    // The pad picks up its live grid and seed; later re-seeds restart it as they did live
+    const padStarts = sessionTrace.events.filter(event => event.type === 'pad');
+    const opening = padStarts.filter(event => event.t <= start).pop() || { t: start, seed: padSeed };
+    const restarts = padStarts.filter(event => event.t > start);
+    let pad = startHarmonicPad(graph, 0, opening.seed, opening.t - start);
+
+    // Scroll automation, then the ticks it drives, on the session's own timeline
+    let cursor = Math.max(0, frames.findIndex(frame => frame.t >= start));
+    frames.slice(cursor).forEach((frame) => {
+        while (restarts.length && restarts[0].t <= frame.t) {
+            const { t, seed } = restarts.shift();
+            stopHarmonicPad(pad, t - start);
+            pad = startHarmonicPad(graph, t - start, seed);
+        }
+        applyScrollMuffle(graph, frame.intensity, frame.t - start);
+        updateHarmonicPad(pad, frame.progress, frame.intensity, frame.t - start);
+    });
+
+    const frameAt = (t) => {
+        while (cursor + 1 < frames.length && frames[cursor + 1].t - start <= t) cursor++;
+        return frames[cursor];
+    };
+    for (let t = 0; t < span;) {
+        const { intensity, progress } = frameAt(t);
+        synthMechanicalTick(graph, intensity, t);
+        if (wantsGhostTick(progress)) synthMechanicalTick(graph, 0, t + 0.15);
+        t += tickIntervalFor(intensity);
+    }
+
+    sessionTrace.events.forEach(({ t, type, room }) => {
+        if (t < start) return;
+        if (type === 'rewind') playRewindSweep(graph, t - start);
+        else if (type === 'room') enterReverbRoom(graph, room, t - start);
+    });
+
+    return ctx.startRendering().then(encodeWav).then((wav) => {
+        if (download) {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(wav);
+            link.download = `chronos-session-${new Date().toISOString().replace(/[:.]/g, '-')}.wav`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        }
+        return wav;
+    });
+}
+
+// Interleaved 16-bit PCM with a canonical 44-byte header. Encoded a second at a time across
+// tasks (like the preload bakes), so a long render doesn't lock the page while it converts.
+function encodeWav(buffer) {
+    const channels = buffer.numberOfChannels;
+    const dataSize = buffer.length * channels * 2;
+    const view = new DataView(new ArrayBuffer(44));
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, buffer.sampleRate, true);
+    view.setUint32(28, buffer.sampleRate * channels * 2, true); // byte rate
+    view.setUint16(32, channels * 2, true); // block align
+    view.setUint16(34, 16, true); // bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const data = Array.from({ length: channels }, (_, channel) => buffer.getChannelData(channel));
+    const parts = [view];
+    let i = 0;
+    return new Promise((resolve) => {
+        const slice = () => {
+            const end = Math.min(i + AUDIO_SAMPLE_RATE, buffer.length);
+            const pcm = new DataView(new ArrayBuffer((end - i) * channels * 2));
+            for (let offset = 0; i < end; i++) {
+                for (let channel = 0; channel < channels; channel++) {
+                    const sample = Math.max(-1, Math.min(1, data[channel][i]));
+                    pcm.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                    offset += 2;
+                }
+            }
+            parts.push(pcm);
+            if (i < buffer.length) setTimeout(slice, 0);
+            else resolve(new Blob(parts, { type: 'audio/wav' }));
+        };
+        slice();
+    });
+}
+
+/* -------- PRELOAD -------- */
+// Bakes every reverb room's IR and the rumble (5 s) while the loader is up, so the boot
+// gesture only has to copy finished samples into the new context.
+function prepareAudioBuffers(report) {
+    if (!(window.AudioContext || window.webkitAudioContext)) {
+        return Promise.reject(new Error("Web Audio API not supported"));
+    }
+
+    const roomNames = Object.keys(REVERB_ROOMS);
+    const roomSeconds = roomNames.reduce((sum, name) => sum + REVERB_ROOMS[name].duration, 0);
+    const total = AUDIO_SAMPLE_RATE * (roomSeconds + 5.0) * 2;
+    let baked = 0;
+    const onSlice = (count) => report((baked += count) / total);
+
+    // One room at a time, so the slices stay one second each
+    const bakeRooms = roomNames.reduce((chain, name) => chain.then(() => {
+        const { duration, decay } = REVERB_ROOMS[name];
+        return bakeReverbImpulseResponse(duration, decay, onSlice).then((ir) => {
+            bakedAudio.rooms[name] = ir;
+        });
+    }), Promise.resolve());
+
+    return bakeRooms
+        .then(() => bakePinkNoise(5, onSlice))
+        .then((noise) => {
+            bakedAudio.noise = noise;
+        });
+}
+
+/* -------- BUS SUBSCRIPTIONS -------- */
+ChronosBus.on('preload', ({ track }) => track('音频缓冲', prepareAudioBuffers));
+ChronosBus.on('boot', bootAudioEngine);
+ChronosBus.on('mute', ({ muted }) => setAudioMuted(muted));
+ChronosBus.on('mix', ({ levels }) => setMixLevels(levels));
+ChronosBus.on('rewind', ({ duration = 3 }) => {
+    if (!actx) return;
+    // Play what was just heard backwards (or the synthetic sweep)
+    playRewind(duration);
+});
+ChronosBus.on('sand:grain', ({ x, y }) => playSandClick(x, y));
+ChronosBus.on('pointer', ({ x, y }) => moveListener(x, y));
+ChronosBus.on('lifecycle', ({ active }) => setAudioActive(active), { replay: true });
+ChronosBus.on('scene:enter', ({ scene, direction }) => {
+    const progress = direction > 0 ? 0 : 1;
+    scenePresence.set(scene.id, { scene, progress });
+    startSceneLayers(scene, progress);
+});
+ChronosBus.on('scene:progress', ({ scene, progress }) => {
+    if (!scenePresence.has(scene.id)) return;
+    scenePresence.get(scene.id).progress = progress;
+    updateSceneLayers(scene, progress);
+});
+ChronosBus.on('scene:active', ({ scene }) => setReverbRoom(scene.config.reverb));
+ChronosBus.on('scene:leave', ({ scene }) => {
+    scenePresence.delete(scene.id);
+    releaseSceneLayers(scene);
+});
+ChronosBus.on('scroll', ({ intensity, progress }) => {
+    audioScroll.intensity = intensity;
+    audioScroll.progress = progress;
+    recordScrollFrame(intensity, progress);
+});
+
+// Chronos.renderSoundtrack() downloads this visit as a WAV; Chronos.setPadSeed(n) re-rolls the pad
+window.Chronos = Object.assign(window.Chronos || {}, { renderSoundtrack, setPadSeed });
@@ -0,0 +1,148 @@
+/* =========================================================================
+   BUS.JS - THE CHRONOS EVENT BUS
+   The one channel the modules talk through. main.js emits scroll, scene and
+   UI events; audio.js, canvas.js and effects.js subscribe. Nobody reaches
+   into another module's globals, so a listener can be added (or a module
+   exercised alone) without touching the emitter.
+   ========================================================================= */
+
+/**
+ * @typedef {Object} SceneRecord
+ * @property {string} id          Section id, e.g. "scene-horizon"
+ * @property {number} number      1-based position in DOM order
+ * @property {number} index       0-based position in DOM order
+ * @property {string} title       data-scene-title
+ * @property {HTMLElement} el     The <section>
+ * @property {Object} config       Directive merged with data-scene-* markup (config.audio: soundscape layers,
+ *                                config.reverb: acoustic space, config.post: shader post-pass overrides,
+ *                                config.look: background shader look, a SCENE_LOOKS name or an object)
+ * @property {ScrollTrigger|null} trigger  The scene's own trigger (pin, scrub, ...), if its config asks for one
+ */
+
+/**
+ * Registers one piece of boot work with the loader. run(report) may return a promise and call
+ * report(0-1) along the way; #enter-btn stays locked until every tracked run has settled, and a
+ * rejection is shown on the loader under the given label.
+ * @callback PreloadTrack
+ * @param {string} label
+ * @param {(report: (fraction: number) => void) => (Promise<void>|void)} run
+ * @returns {Promise<void>} Settles (never rejects) once run has finished or failed
+ */
+
+/**
+ * Every event the bus accepts and the shape of its payload. Emitting or
+ * subscribing to anything else throws, which is what keeps the bus "typed".
+ * @typedef {Object} ChronosEvents
+ * @property {{ track: PreloadTrack }} preload          Loader is up: hand it any boot work via track()
+ * @property {{}} boot                                   User gesture on #enter-btn (audio may start)
+ * @property {{}} world:booted                           Loader gone, input unlocked
+ * @property {{ y: number, velocity: number, intensity: number, progress: number, dt: number }} scroll
+ *           Every scroll frame. velocity in px/s (signed), intensity 0-1, progress 0-1, dt in s
+ * @property {{ progress: number }} progress             Global progress 0-1, only when it changes
+ * @property {{ scene: SceneRecord, direction: number }} scene:enter     Section scrolled into view
+ * @property {{ scene: SceneRecord, direction: number }} scene:leave     Section scrolled out of view
+ * @property {{ scene: SceneRecord, progress: number }} scene:progress   0 as it enters at the bottom, 1 as it leaves the top
+ * @property {{ scene: SceneRecord, direction: number }} scene:active    Section became the current one (indicator, hash)
+ * @property {{ index: number }} timeline:node           A timeline milestone reached the reading line
+ * @property {{ muted: boolean }} mute
+ * @property {{ levels: { ambient: number, ticks: number, sfx: number, reverb: number } }} mix
+ *           HUD mixer faders, 0-1 per audio bus
+ * @property {{ duration: number }} rewind             #btn-rewind pressed; seconds the scroll takes to
+ *           get back to the top (0 in calm mode, where it jumps)
+ * @property {{ reduced: boolean }} motion               Calm / reduced-motion mode switched
+ * @property {{ count: number, x: number, y: number }} sand:grain
+ *           Hourglass dropped a batch of grains; x, y is the neck in client px
+ * @property {{ x: number, y: number }} pointer         Cursor moved, client px
+ * @property {{ active: boolean }} lifecycle            Page shown / hidden (tab switch, freeze, bfcache);
+ *           inactive means stop rAF loops and timers. Emitted on change, subscribe with replay
+ * @property {{ time: number, at: number, intensity: number, ghost: boolean }} audio:tick
+ *           A clock tick was scheduled ~100ms ahead. time is AudioContext time; at is the
+ *           performance.now() moment it reaches the speakers, so visuals can land on it
+ * @property {{ bass: number, mid: number, high: number, rms: number }} audio:levels
+ *           Every frame while audio runs: 0-1 band energies and RMS of the master output
+ */
+const CHRONOS_EVENT_TYPES = [
+    'preload',
+    'boot',
+    'world:booted',
+    'scroll',
+    'progress',
+    'scene:enter',
+    'scene:leave',
+    'scene:progress',
+    'scene:active',
+    'timeline:node',
+    'mute',
+    'mix',
+    'rewind',
+    'motion',
+    'sand:grain',
+    'pointer',
+    'lifecycle',
+    'audio:tick',
+    'audio:levels'
+];
+
+const ChronosBus = (() => {
+    const listeners = new Map(CHRONOS_EVENT_TYPES.map(type => [type, new Set()]));
+    const lastPayloads = new Map();
+
+    const assertType = (type) => {
+        if (!listeners.has(type)) throw new TypeError(`ChronosBus: unknown event "${type}"`);
+    };
+
+    /**
+     * @template {keyof ChronosEvents} K
+     * @param {K} type
+     * @param {(payload: ChronosEvents[K]) => void} handler
+     * @param {{ replay?: boolean }} [options] replay: call immediately with the last payload, if any
+     * @returns {() => void} unsubscribe
+     */
+    const on = (type, handler, { replay = false } = {}) => {
+        assertType(type);
+        listeners.get(type).add(handler);
+        if (replay && lastPayloads.has(type)) handler(lastPayloads.get(type));
+        return () => off(type, handler);
+    };
+
+    const off = (type, handler) => {
+        assertType(type);
+        listeners.get(type).delete(handler);
+    };
+
+    const once = (type, handler) => {
+        const unsubscribe = on(type, (payload) => {
+            unsubscribe();
+            handler(payload);
+        });
+        return unsubscribe;
+    };
+
+    /**
+     * @template {keyof ChronosEvents} K
+     * @param {K} type
+     * @param {ChronosEvents[K]} [payload]
+     */
+    const emit = (type, payload = {}) => {
+        assertType(type);
+        lastPayloads.set(type, payload);
+        // Copy so handlers may unsubscribe mid-dispatch; one failing listener can't starve the rest
+        Array.from(listeners.get(type)).forEach(handler => {
+            try {
+                handler(payload);
+            } catch (err) {
+                console.error(`ChronosBus: "${type}" listener failed`, err);
+            }
+        });
+    };
+
+    // Latest payload of a type, for modules that poll instead of subscribing
+    const last = (type) => {
+        assertType(type);
+        return lastPayloads.get(type);
+    };
+
+    return { on, off, once, emit, last, types: CHRONOS_EVENT_TYPES.slice() };
+})();
+
+window.ChronosBus = ChronosBus;
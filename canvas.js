@@ -6,10 +6,23 @@
 
 const canvas = document.getElementById("time-canvas");
 const gl = canvas.getContext("webgl2", { alpha: false, antialias: false, powerPreference: "high-performance" });
+// Without WebGL 2 the same canvas draws a low-resolution approximation of the field (see 7.)
+const fallback2d = gl ? null : canvas.getContext("2d");
+const FALLBACK_DOWNSCALE = 8; // CSS px per field sample
+const FALLBACK_FRAME = 1 / 30; // Seconds between redraws
+let fallbackImage = null;
+let fallbackDrawnAt = -1;
+
+// Plain gradient behind the canvas: no renderer at all, or while a lost context is restored
+function setStaticBackdrop(on) {
+    document.getElementById("webgl-container").style.background = on ? "linear-gradient(#050505, #111)" : "";
+}
 
 if (!gl) {
-    console.error("WebGL 2 not supported. Falling back to simple background.");
-    document.getElementById("webgl-container").style.background = "linear-gradient(#050505, #111)";
+    console.warn(fallback2d
+        ? "WebGL 2 not supported. Falling back to the Canvas 2D field."
+        : "WebGL 2 not supported. Falling back to simple background.");
+    setStaticBackdrop(true);
 }
 
 /* -------- 1. GLSL SHADER CODE -------- */
@@ -30,10 +43,21 @@ precision highp float;
 uniform vec2 u_resolution;
 uniform float u_time;
 uniform vec2 u_mouse;
-uniform float u_scrollVelocity;
+uniform float u_scrollVelocity; // -1.0 to 1.0 normalized scroll intensity
+// The melt and spark constants were tuned on the raw px gap; intensity 1.0 stands for 1500px of it
+const float SCROLL_GAP = 1500.0;
 uniform float u_scrollProgress; // 0.0 to 1.0 mapping global scroll
+// The current scene look (see 3.1), blended between the scenes on screen
 uniform vec3 u_colorBase;
 uniform vec3 u_colorAccent;
+uniform float u_warp; // Multiplies the clock-melt distortion
+uniform float u_starDensity; // 0.0 to 1.0
+uniform float u_auroraAmount; // 0.0 to 1.0
+uniform float u_contour; // Strength of the dark contour lines
+uniform vec3 u_audio; // bass, mid, high energy 0.0 to 1.0 from the master bus
+uniform int u_octaves; // fbm detail, set by the quality tier (max 6)
+uniform float u_stars; // 0.0 or 1.0, quality tier
+uniform float u_aurora; // 0.0 or 1.0, quality tier
 
 out vec4 outColor;
 
@@ -108,7 +132,8 @@ float fbm(vec3 x) {
     float v = 0.0;
     float a = 0.5;
     vec3 shift = vec3(100.0);
-    for (int i = 0; i < 6; ++i) { // upgraded to 6 octaves
+    for (int i = 0; i < 6; ++i) { // upgraded to 6 octaves (fewer on lower tiers)
+        if (i >= u_octaves) break;
         v += a * snoise(x);
         x = x * 2.0 + shift;
         a *= 0.5;
@@ -122,7 +147,7 @@ float clockMelt(vec2 uv, float t) {
     q.y = fbm( vec3(uv + vec2(1.0), t) );
 
     vec2 r = vec2(0.);
-    float distortionForce = 1.0 + u_scrollVelocity * 6.0;
+    float distortionForce = 1.0 + u_scrollVelocity * SCROLL_GAP * 6.0;
     
     r.x = fbm( vec3(uv + 1.0*q + vec2(1.7,9.2)+ 0.15*t * distortionForce, t) );
     r.y = fbm( vec3(uv + 1.0*q + vec2(8.3,2.8)+ 0.126*t * distortionForce, t) );
@@ -158,34 +183,34 @@ void main() {
     vec2 warpedSt = st + vec2(
         clockMelt(st + vec2(0.0), baseTime),
         clockMelt(st + vec2(5.2), baseTime)
-    ) * (0.15 + mouseForce * 0.3);
+    ) * (0.15 * u_warp + mouseForce * 0.3 + u_audio.x * 0.12); // The rumble breathes through the warp
 
     float noiseVal = fbm(vec3(warpedSt * 3.0, baseTime * 1.5));
     
     // Aurora effect for Quantum zone
-    float aurora = fbm(vec3(st * 4.0 + vec2(baseTime, -baseTime * 1.5), baseTime * 0.5));
-    aurora = pow(abs(aurora), 3.0) * 2.0;
+    float aurora = 0.0;
+    if (u_aurora > 0.5) {
+        aurora = fbm(vec3(st * 4.0 + vec2(baseTime, -baseTime * 1.5), baseTime * 0.5));
+        aurora = pow(abs(aurora), 3.0) * (2.0 + u_audio.y * 3.0);
+    }
 
     float contour = abs(fract(noiseVal * 10.0) - 0.5);
     contour = smoothstep(0.4, 0.45, contour);
 
-    vec3 voidColor = mix(u_colorBase, vec3(0.02, 0.05, 0.1), u_scrollProgress);
-    vec3 memoryColor = mix(u_colorAccent, vec3(0.0, 1.0, 0.98),  pow(u_scrollProgress, 2.0)); // Cyan shift near bottom
-    
-    vec3 finalColor = mix(voidColor, memoryColor, smoothstep(0.2, 0.8, noiseVal));
+    vec3 finalColor = mix(u_colorBase, u_colorAccent, smoothstep(0.2, 0.8, noiseVal));
     
-    // Add Quantum Aurora if near middle/bottom
-    vec3 auroraColor = vec3(0.0, 1.0, 0.98) * aurora * smoothstep(0.3, 0.7, u_scrollProgress);
+    // Add Quantum Aurora where the scene asks for it
+    vec3 auroraColor = vec3(0.0, 1.0, 0.98) * aurora * u_auroraAmount;
     finalColor += auroraColor;
     
     // Starfield for deep space
-    float stars = starField(st + vec2(0.0, baseTime * 0.5));
-    finalColor += vec3(stars) * (1.0 - u_scrollProgress); // fade out stars as we go down
+    float stars = u_stars > 0.5 && u_starDensity > 0.0 ? starField(st + vec2(0.0, baseTime * 0.5)) : 0.0;
+    finalColor += vec3(stars) * u_starDensity * (1.0 + u_audio.z * 4.0); // ticks flare them
 
-    float sparks = pow(smoothstep(0.6, 1.0, noiseVal), 5.0) * (u_scrollVelocity * 2.5);
+    float sparks = pow(smoothstep(0.6, 1.0, noiseVal), 5.0) * (u_scrollVelocity * SCROLL_GAP * 2.5);
     finalColor += sparks * vec3(1.0, 0.8, 0.6);
 
-    finalColor = mix(finalColor, vec3(0.0), contour * 0.6);
+    finalColor = mix(finalColor, vec3(0.0), contour * u_contour);
 
     vec2 uvNorm = gl_FragCoord.xy / u_resolution.xy;
     uvNorm = uvNorm * 2.0 - 1.0;
@@ -196,10 +221,110 @@ void main() {
 }
 `;
 
+// Post-processing passes (see 3.3). They share the vertex shader and read whichever
+// texture the previous pass wrote.
+
+// Bright-pass: keep only what glows (sparks, aurora, stars)
+const brightFs = `#version 300 es
+precision highp float;
+
+uniform sampler2D u_source;
+uniform vec2 u_resolution;
+uniform float u_threshold;
+
+out vec4 outColor;
+
+void main() {
+    vec3 color = texture(u_source, gl_FragCoord.xy / u_resolution).rgb;
+    float luma = dot(color, vec3(0.2126, 0.7152, 0.0722));
+    outColor = vec4(color * smoothstep(u_threshold, u_threshold + 0.25, luma), 1.0);
+}
+`;
+
+// Separable 9-tap gaussian, run once per axis
+const blurFs = `#version 300 es
+precision highp float;
+
+uniform sampler2D u_source;
+uniform vec2 u_resolution;
+uniform vec2 u_direction; // (radius, 0) or (0, radius), in texels
+
+out vec4 outColor;
+
+void main() {
+    vec2 uv = gl_FragCoord.xy / u_resolution;
+    vec2 stepUv = u_direction / u_resolution;
+    vec3 sum = texture(u_source, uv).rgb * 0.227027;
+    sum += texture(u_source, uv + stepUv * 1.3846).rgb * 0.316216;
+    sum += texture(u_source, uv - stepUv * 1.3846).rgb * 0.316216;
+    sum += texture(u_source, uv + stepUv * 3.2308).rgb * 0.070270;
+    sum += texture(u_source, uv - stepUv * 3.2308).rgb * 0.070270;
+    outColor = vec4(sum, 1.0);
+}
+`;
+
+// Final pass onto the canvas: upscale, radial blur + chromatic aberration, bloom, film grain
+const compositeFs = `#version 300 es
+precision highp float;
+
+uniform sampler2D u_scene;
+uniform sampler2D u_bloom;
+uniform vec2 u_resolution;
+uniform float u_grainSeed; // Moves the grain each frame; held still in calm mode
+uniform vec2 u_center; // Where blur and aberration radiate from, 0-1
+uniform float u_bloomIntensity; // 0 = pass off
+uniform float u_aberration; // UV offset at the screen edge, 0 = off
+uniform float u_radialBlur; // Share of the distance to the centre smeared, 0 = off
+uniform float u_grain; // 0 = off
+
+out vec4 outColor;
+
+vec3 aberrated(vec2 uv, vec2 fromCenter) {
+    if (u_aberration <= 0.0) return texture(u_scene, uv).rgb;
+    vec2 offset = fromCenter * u_aberration;
+    return vec3(
+        texture(u_scene, uv + offset).r,
+        texture(u_scene, uv).g,
+        texture(u_scene, uv - offset).b
+    );
+}
+
+float grainHash(vec2 p) {
+    vec3 p3 = fract(vec3(p.xyx) * 0.1031);
+    p3 += dot(p3, p3.yzx + 33.33);
+    return fract((p3.x + p3.y) * p3.z);
+}
+
+void main() {
+    vec2 uv = gl_FragCoord.xy / u_resolution;
+    vec2 fromCenter = uv - u_center;
+
+    vec3 color = vec3(0.0);
+    if (u_radialBlur > 0.0) {
+        for (int i = 0; i < 8; ++i) {
+            color += aberrated(uv - fromCenter * u_radialBlur * (float(i) / 8.0), fromCenter);
+        }
+        color /= 8.0;
+    } else {
+        color = aberrated(uv, fromCenter);
+    }
+
+    if (u_bloomIntensity > 0.0) color += texture(u_bloom, uv).rgb * u_bloomIntensity;
+
+    if (u_grain > 0.0) {
+        float noise = grainHash(gl_FragCoord.xy + u_grainSeed) - 0.5;
+        color += noise * u_grain;
+    }
+
+    outColor = vec4(color, 1.0);
+}
+`;
+
 /* -------- 2. GL CONTEXT & BUFFER SETUP -------- */
-// Twgl.js makes compiling shaders and setting up buffers trivial
-// Provide full-screen quad geometry
-const programInfo = twgl.createProgramInfo(gl, [vs, fs]);
+// Twgl.js makes compiling shaders and setting up buffers trivial.
+// The program is built while the loader is up (see 6.), not at parse time
+let programInfo = null;
+const postPrograms = { bright: null, blur: null, composite: null };
 
 const arrays = {
     position: {
@@ -215,7 +340,7 @@ const arrays = {
     },
 };
 
-const bufferInfo = twgl.createBufferInfoFromArrays(gl, arrays);
+let bufferInfo = null;
 
 /* -------- 3. STATE & UNIFORMS -------- */
 
@@ -234,20 +359,283 @@ function hexToRgbNorm(hex) {
     return [r / 255.0, g / 255.0, b / 255.0];
 }
 
-// These match the CSS tokens natively
-const colorBase = hexToRgbNorm("#030303");
-const colorAccent = hexToRgbNorm("#b39b82");
+/* -------- 3.1 SCENE LOOKS -------- */
+// A section names its look with data-scene-look (or a `look` object in its directive, merged
+// over DEFAULT_LOOK). The background follows whichever scenes are on screen, so reordering or
+// adding sections keeps the field in step with the content. Colors match the CSS tokens.
+const DEFAULT_LOOK = { base: "#030303", accent: "#b39b82", warp: 1.0, stars: 1.0, aurora: 0.0, contour: 0.6 };
+const SCENE_LOOKS = {
+    'deep-space': DEFAULT_LOOK,
+    dilation: { base: "#040405", accent: "#b39b82", warp: 1.4, stars: 0.9, aurora: 0.0, contour: 0.6 },
+    sand: { base: "#070605", accent: "#d4a857", warp: 0.9, stars: 0.7, aurora: 0.05, contour: 0.5 },
+    memory: { base: "#07090c", accent: "#8fa3b8", warp: 1.0, stars: 0.6, aurora: 0.2, contour: 0.6 },
+    timeline: { base: "#060a12", accent: "#4a9eff", warp: 0.8, stars: 0.5, aurora: 0.25, contour: 0.5 },
+    horizon: { base: "#010104", accent: "#ff6f00", warp: 1.8, stars: 0.3, aurora: 0.3, contour: 0.8 },
+    quantum: { base: "#04101a", accent: "#00fff9", warp: 1.2, stars: 0.4, aurora: 1.0, contour: 0.4 },
+    origin: { base: "#06101a", accent: "#4fc3d9", warp: 1.1, stars: 0.3, aurora: 0.8, contour: 0.6 },
+    loop: { base: "#050d19", accent: "#19e6e0", warp: 1.3, stars: 0.15, aurora: 0.9, contour: 0.7 },
+    dali: { base: "#0a0806", accent: "#c19a6b", warp: 2.0, stars: 0.05, aurora: 0.4, contour: 0.5 },
+    epilogue: { base: "#05070d", accent: "#00fff9", warp: 0.8, stars: 0.0, aurora: 0.6, contour: 0.3 }
+};
+const LOOK_KEYS = ['base', 'accent', 'warp', 'stars', 'aurora', 'contour'];
+
+// Looks as numbers ([r, g, b] for colors), resolved once per scene
+const lookCache = new Map();
+const lookPresence = new Map(); // scene id -> { look, progress } while on screen
+
+function resolveLook(scene) {
+    if (lookCache.has(scene.id)) return lookCache.get(scene.id);
+    let look = null;
+    const config = scene.config.look;
+    if (typeof config === 'string') {
+        if (!SCENE_LOOKS[config]) console.warn(`Unknown scene look "${config}" on #${scene.id}`);
+        look = SCENE_LOOKS[config] || null;
+    } else if (config) {
+        look = Object.assign({}, DEFAULT_LOOK, config);
+    }
+    const resolved = look && LOOK_KEYS.reduce((out, key) => {
+        out[key] = typeof look[key] === 'string' ? hexToRgbNorm(look[key]) : look[key];
+        return out;
+    }, {});
+    lookCache.set(scene.id, resolved);
+    return resolved;
+}
+
+// A scene counts most when centred (progress 0.5) and fades out towards either edge
+function blendedLook() {
+    const target = { base: [0, 0, 0], accent: [0, 0, 0], warp: 0, stars: 0, aurora: 0, contour: 0 };
+    let total = 0;
+    lookPresence.forEach(({ look, progress }) => {
+        const weight = Math.max(Math.sin(Math.PI * Math.min(Math.max(progress, 0), 1)), 0.001);
+        total += weight;
+        LOOK_KEYS.forEach((key) => {
+            if (Array.isArray(target[key])) target[key] = target[key].map((c, i) => c + look[key][i] * weight);
+            else target[key] += look[key] * weight;
+        });
+    });
+    if (!total) return null;
+    LOOK_KEYS.forEach((key) => {
+        if (Array.isArray(target[key])) target[key] = target[key].map(c => c / total);
+        else target[key] /= total;
+    });
+    return target;
+}
+
+// Eases the look uniforms towards the blend of the scenes on screen
+function updateLookUniforms(smoothing) {
+    const target = blendedLook();
+    if (!target) return;
+    const ease = (current, goal) => current + (goal - current) * smoothing;
+    uniforms.u_colorBase = uniforms.u_colorBase.map((c, i) => ease(c, target.base[i]));
+    uniforms.u_colorAccent = uniforms.u_colorAccent.map((c, i) => ease(c, target.accent[i]));
+    uniforms.u_warp = ease(uniforms.u_warp, target.warp);
+    uniforms.u_starDensity = ease(uniforms.u_starDensity, target.stars);
+    uniforms.u_auroraAmount = ease(uniforms.u_auroraAmount, target.aurora);
+    uniforms.u_contour = ease(uniforms.u_contour, target.contour);
+}
+
+const trackLook = ({ scene, progress }) => {
+    const look = resolveLook(scene);
+    if (look) lookPresence.set(scene.id, { look, progress });
+};
+
+ChronosBus.on('scene:enter', ({ scene, direction }) => trackLook({ scene, progress: direction > 0 ? 0 : 1 }));
+ChronosBus.on('scene:progress', trackLook);
+ChronosBus.on('scene:leave', ({ scene }) => lookPresence.delete(scene.id));
+
+const initialLook = resolveLook({ id: 'default', config: { look: 'deep-space' } });
 
 const uniforms = {
-    u_resolution: [gl.canvas.width, gl.canvas.height],
+    u_resolution: [canvas.width, canvas.height],
     u_time: 0,
-    u_mouse: [gl.canvas.width / 2, gl.canvas.height / 2],
+    u_mouse: [canvas.width / 2, canvas.height / 2],
     u_scrollVelocity: 0,
     u_scrollProgress: 0,
-    u_colorBase: colorBase,
-    u_colorAccent: colorAccent,
+    u_colorBase: initialLook.base,
+    u_colorAccent: initialLook.accent,
+    u_warp: initialLook.warp,
+    u_starDensity: initialLook.stars,
+    u_auroraAmount: initialLook.aurora,
+    u_contour: initialLook.contour,
+    u_audio: [0, 0, 0],
+    u_octaves: 6,
+    u_stars: 1,
+    u_aurora: 1,
+};
+
+/* -------- 3.2 QUALITY TIERS & RESOLUTION GOVERNOR -------- */
+// The field is drawn into an offscreen framebuffer at renderScale x the canvas size and
+// blitted (bilinear) up to the canvas. The governor watches frame time: slow frames shrink
+// the scale, and once it bottoms out the tier drops (fewer fbm octaves, then no stars, aurora,
+// bloom or lens passes - the composite runs at full canvas size, so those cost the same at any
+// scale); fast frames win both back. Chronos.setShaderQuality() pins a tier instead.
+const QUALITY_TIERS = {
+    high: { octaves: 6, stars: 1, aurora: 1, bloom: true, lens: true, scale: 1.0 },
+    medium: { octaves: 4, stars: 1, aurora: 1, bloom: true, lens: true, scale: 0.75 },
+    low: { octaves: 3, stars: 0, aurora: 0, bloom: false, lens: false, scale: 0.5 } // lens: aberration + radial blur
+};
+const QUALITY_ORDER = ['low', 'medium', 'high'];
+const QUALITY_STORAGE_KEY = 'chronos.shaderQuality';
+const GOVERNOR = {
+    slowFrame: 1 / 45, // Averages above this shed resolution
+    fastFrame: 1 / 57, // Averages below this win it back
+    interval: 0.5, // Seconds between decisions
+    minScale: 0.35,
+    maxScale: 1.0
+};
+
+const quality = {
+    mode: 'auto', // 'auto' or a pinned tier name
+    tier: 'high',
+    scale: 1.0,
+    frameAverage: 1 / 60,
+    sinceDecision: 0
 };
 
+let frameTarget = null; // twgl FramebufferInfo, created with the program (see 6.)
+const frameTargetAttachments = gl ? [{
+    internalFormat: gl.RGBA8,
+    format: gl.RGBA,
+    type: gl.UNSIGNED_BYTE,
+    min: gl.LINEAR,
+    mag: gl.LINEAR,
+    wrap: gl.CLAMP_TO_EDGE
+}] : [];
+
+function applyQualityTier(name) {
+    const tier = QUALITY_TIERS[name];
+    quality.tier = name;
+    uniforms.u_octaves = tier.octaves;
+    uniforms.u_stars = tier.stars;
+    uniforms.u_aurora = tier.aurora;
+}
+
+// 'auto', 'high', 'medium' or 'low'; persist remembers the choice across visits
+function setShaderQuality(mode, { persist = false } = {}) {
+    if (mode !== 'auto' && !QUALITY_TIERS[mode]) throw new TypeError(`Unknown shader quality "${mode}"`);
+    quality.mode = mode;
+    if (mode !== 'auto') {
+        applyQualityTier(mode);
+        quality.scale = QUALITY_TIERS[mode].scale;
+    }
+    if (persist) {
+        try { localStorage.setItem(QUALITY_STORAGE_KEY, mode); } catch (e) { /* private mode */ }
+    }
+}
+
+// Fed every frame with the real frame time
+function governResolution(deltaTime) {
+    quality.frameAverage += (Math.min(deltaTime, 0.25) - quality.frameAverage) * 0.1;
+    quality.sinceDecision += deltaTime;
+    if (quality.mode !== 'auto' || quality.sinceDecision < GOVERNOR.interval) return;
+    quality.sinceDecision = 0;
+
+    const rank = QUALITY_ORDER.indexOf(quality.tier);
+    if (quality.frameAverage > GOVERNOR.slowFrame) {
+        if (quality.scale > GOVERNOR.minScale) {
+            quality.scale = Math.max(GOVERNOR.minScale, quality.scale * 0.85);
+        } else if (rank > 0) {
+            applyQualityTier(QUALITY_ORDER[rank - 1]);
+            quality.scale = 0.6; // Cheaper tier, so there is room to sharpen again
+        }
+    } else if (quality.frameAverage < GOVERNOR.fastFrame) {
+        if (quality.scale < GOVERNOR.maxScale) {
+            quality.scale = Math.min(GOVERNOR.maxScale, quality.scale * 1.05);
+        } else if (rank < QUALITY_ORDER.length - 1) {
+            applyQualityTier(QUALITY_ORDER[rank + 1]);
+            quality.scale = 0.6;
+        }
+    }
+}
+
+// Offscreen size for the current scale; the framebuffer only reallocates when it changes
+function resizeFrameTarget() {
+    const width = Math.max(1, Math.round(gl.canvas.width * quality.scale));
+    const height = Math.max(1, Math.round(gl.canvas.height * quality.scale));
+    if (frameTarget.width !== width || frameTarget.height !== height) {
+        twgl.resizeFramebufferInfo(gl, frameTarget, frameTargetAttachments, width, height);
+        resizeBloomTargets();
+    }
+    uniforms.u_resolution = [width, height];
+}
+
+(() => {
+    let stored = null;
+    try { stored = localStorage.getItem(QUALITY_STORAGE_KEY); } catch (e) { /* private mode */ }
+    if (stored && (stored === 'auto' || QUALITY_TIERS[stored])) setShaderQuality(stored);
+})();
+
+/* -------- 3.3 POST-PROCESSING CHAIN -------- */
+// field -> [bloom: bright-pass + blur at half size] -> composite onto the canvas
+// Each pass has a global setting (Chronos.setPostPass) and a scene may override any of its
+// parameters with a `post` entry in its directive, e.g. heavy aberration at the horizon.
+// Strengths are `amount + |scroll velocity| * velocity`; values ease between scenes.
+const POST_PASSES = {
+    bloom: { enabled: true, threshold: 0.55, intensity: 0.9, radius: 1.5 },
+    aberration: { enabled: true, amount: 0.002, velocity: 0.03 },
+    radialBlur: { enabled: true, amount: 0, velocity: 0.12 },
+    grain: { enabled: true, amount: 0.05 } // Replaces the CSS .static-noise overlay while enabled
+};
+
+let scenePost = {}; // The active scene's overrides, by pass
+const postMix = { bloom: 0, aberration: 0, radialBlur: 0, grain: 0 }; // Smoothed strengths
+
+let bloomTargets = null; // Two half-size FramebufferInfos, ping-ponged by the blur
+
+function postSetting(pass) {
+    return Object.assign({}, POST_PASSES[pass], scenePost[pass]);
+}
+
+// Global toggle/parameters for one pass, e.g. setPostPass('grain', { amount: 0.08 })
+function setPostPass(pass, params) {
+    if (!POST_PASSES[pass]) throw new TypeError(`Unknown post pass "${pass}"`);
+    Object.assign(POST_PASSES[pass], typeof params === 'boolean' ? { enabled: params } : params);
+    if (pass === 'grain') syncCssGrain();
+}
+
+// The GPU grain only stands in for the CSS one once it is actually being drawn
+function syncCssGrain() {
+    document.body.classList.toggle('gpu-grain', !!gl && shaderLoop.ready && POST_PASSES.grain.enabled);
+}
+
+// Targets for this frame, eased with the same smoothing as the other uniforms
+function updatePostMix(velocity, smoothing) {
+    const speed = Math.abs(velocity);
+    const strength = (pass) => {
+        const setting = postSetting(pass);
+        if (!setting.enabled) return 0;
+        return (setting.amount || 0) + speed * (setting.velocity || 0);
+    };
+    const bloom = postSetting('bloom');
+    const tier = QUALITY_TIERS[quality.tier];
+    const targets = {
+        bloom: bloom.enabled && tier.bloom ? bloom.intensity : 0,
+        aberration: tier.lens ? strength('aberration') : 0,
+        radialBlur: tier.lens ? Math.min(strength('radialBlur'), 0.5) : 0,
+        grain: strength('grain')
+    };
+    Object.keys(postMix).forEach((pass) => {
+        postMix[pass] += (targets[pass] - postMix[pass]) * smoothing;
+        if (targets[pass] === 0 && postMix[pass] < 1e-4) postMix[pass] = 0; // Lets a pass switch off fully
+    });
+}
+
+function resizeBloomTargets() {
+    const width = Math.max(1, Math.round(frameTarget.width / 2));
+    const height = Math.max(1, Math.round(frameTarget.height / 2));
+    bloomTargets.forEach((target) => {
+        if (target.width !== width || target.height !== height) {
+            twgl.resizeFramebufferInfo(gl, target, frameTargetAttachments, width, height);
+        }
+    });
+}
+
+ChronosBus.on('scene:active', ({ scene }) => {
+    scenePost = scene.config.post || {};
+});
+
+window.Chronos = Object.assign(window.Chronos || {}, { setShaderQuality, setPostPass });
+
 /* -------- 4. INTERACTION LISTENERS -------- */
 // Track mouse for shader interaction
 window.addEventListener('mousemove', (e) => {
@@ -266,8 +654,34 @@ window.addEventListener('touchmove', (e) => {
 let currentMouse = { x: window.innerWidth / 2, y: window.innerHeight / 2 };
 let targetMouse = { x: window.innerWidth / 2, y: window.innerHeight / 2 };
 
+// 4.1 Scroll state from main.js, kept here so the render loop reads plain numbers
+const busScroll = { velocity: 0, progress: 0, reduced: false };
+
+ChronosBus.on('scroll', ({ velocity, intensity, progress }) => {
+    busScroll.velocity = Math.sign(velocity) * intensity; // signed, -1 to 1
+    busScroll.progress = progress;
+});
+
+ChronosBus.on('motion', ({ reduced }) => {
+    busScroll.reduced = reduced;
+}, { replay: true });
+
+// 4.2 Band energies from audio.js (silent until the audio engine boots)
+const busAudio = [0, 0, 0];
+
+ChronosBus.on('audio:levels', ({ bass, mid, high }) => {
+    busAudio[0] = bass;
+    busAudio[1] = mid;
+    busAudio[2] = high;
+});
+
 // Resizing
 function resizeCanvas() {
+    if (!gl) {
+        if (fallback2d) resizeFallbackCanvas();
+        return;
+    }
+
     // Force CSS size to match window
     gl.canvas.style.width = '100vw';
     gl.canvas.style.height = '100vh';
@@ -282,9 +696,8 @@ function resizeCanvas() {
         gl.canvas.height = displayHeight;
     }
 
-    // Update uniforms and viewport
-    uniforms.u_resolution = [gl.canvas.width, gl.canvas.height];
-    gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+    // The field itself renders at the governed size (see 3.2)
+    if (frameTarget) resizeFrameTarget();
 }
 
 window.addEventListener('resize', resizeCanvas);
@@ -293,6 +706,26 @@ resizeCanvas();
 
 /* -------- 5. MAIN RENDER LOOP -------- */
 let then = 0;
+let shaderTime = 0; // Accumulated so calm mode can slow the clock without a jump
+
+// The loop runs once the program is ready (see 6.) and sleeps while the page is hidden
+// or the context is lost (see 7.); needsBuild is set until the GPU resources exist, and
+// again whenever a lost context takes them away
+const shaderLoop = { frame: null, ready: false, active: true, needsBuild: true };
+
+function startShaderLoop() {
+    cancelAnimationFrame(shaderLoop.frame);
+    shaderLoop.frame = null;
+    if (!shaderLoop.ready || !shaderLoop.active) return;
+
+    then = performance.now() * 0.001; // No catch-up jump after a sleep
+    shaderLoop.frame = requestAnimationFrame(render);
+}
+
+ChronosBus.on('lifecycle', ({ active }) => {
+    shaderLoop.active = active;
+    startShaderLoop();
+}, { replay: true });
 
 function render(now) {
     now *= 0.001; // convert to seconds
@@ -300,38 +733,272 @@ function render(now) {
     then = now;
 
     // Handle Resize checks continuously in case of DOM shifts
+    governResolution(Math.max(deltaTime, 0));
     resizeCanvas();
 
+    // Per-60Hz-frame smoothing factor rescaled to the real frame time
+    const smoothing = 1 - Math.pow(1 - 0.1, Math.min(deltaTime, 0.1) * 60);
+
     // 5.1 Mouse Smoothing
     // Ease the current mouse position towards target
-    currentMouse.x += (targetMouse.x - currentMouse.x) * 0.1;
-    currentMouse.y += (targetMouse.y - currentMouse.y) * 0.1;
-    uniforms.u_mouse = [currentMouse.x, currentMouse.y];
+    currentMouse.x += (targetMouse.x - currentMouse.x) * smoothing;
+    currentMouse.y += (targetMouse.y - currentMouse.y) * smoothing;
+    // Client px to render-target px
+    const toTarget = uniforms.u_resolution[0] / window.innerWidth;
+    uniforms.u_mouse = [currentMouse.x * toTarget, currentMouse.y * toTarget];
 
-    // 5.2 Scroll Hooks (Connected from main.js)
-    // We expect main.js to expose window.__SCROLL_MOMENTUM and window.__GLOBAL_PROGRESS
-    let sVel = window.__SCROLL_MOMENTUM || 0;
-    let sProg = window.__GLOBAL_PROGRESS || 0;
+    // 5.2 Scroll Hooks (fed by the bus, see 4.1)
+    let sVel = busScroll.velocity; // -1 to 1
+    let sProg = busScroll.progress;
+
+    // Calm mode (reduced motion): the field barely evolves and ignores scroll speed
+    const reduced = busScroll.reduced;
+    if (reduced) sVel = 0;
 
     // Smooth the velocity read
-    uniforms.u_scrollVelocity += (sVel - uniforms.u_scrollVelocity) * 0.1;
-    uniforms.u_scrollProgress += (sProg - uniforms.u_scrollProgress) * 0.1;
+    uniforms.u_scrollVelocity += (sVel - uniforms.u_scrollVelocity) * smoothing;
+    uniforms.u_scrollProgress += (sProg - uniforms.u_scrollProgress) * smoothing;
+
+    // Scene look (see 3.1); eased a little slower so scene changes dissolve
+    updateLookUniforms(smoothing * 0.5);
+
+    // 5.2.1 Audio Hooks (see 4.2); calm mode keeps the field still
+    uniforms.u_audio = busAudio.map((level, i) => {
+        const current = uniforms.u_audio[i];
+        return current + ((reduced ? 0 : level) - current) * smoothing;
+    });
 
     // 5.3 Update time
-    uniforms.u_time = now;
+    shaderTime += Math.min(deltaTime, 0.1) * (reduced ? 0.05 : 1.0);
+    uniforms.u_time = shaderTime;
+
+    // Post chain strengths (see 3.3)
+    updatePostMix(uniforms.u_scrollVelocity, smoothing);
 
     // 5.4 GL Execute
-    gl.useProgram(programInfo.program);
-    twgl.setBuffersAndAttributes(gl, programInfo, bufferInfo);
-    twgl.setUniforms(programInfo, uniforms);
+    if (gl) drawField();
+    else drawFallbackField(now);
+
+    shaderLoop.frame = requestAnimationFrame(render);
+}
 
+// One full-screen triangle pair into whatever framebuffer is bound
+function runPass(info, passUniforms) {
+    gl.useProgram(info.program);
+    twgl.setBuffersAndAttributes(gl, info, bufferInfo);
+    twgl.setUniforms(info, passUniforms);
     gl.drawArrays(gl.TRIANGLES, 0, 6);
+}
+
+// Draw into the offscreen target, run the post chain, composite it up onto the canvas
+function drawField() {
+    twgl.bindFramebufferInfo(gl, frameTarget);
+    runPass(programInfo, uniforms);
+    const sceneTexture = frameTarget.attachments[0];
+
+    const [bloomA, bloomB] = bloomTargets;
+    if (postMix.bloom > 0) {
+        const { threshold, radius } = postSetting('bloom');
+        const size = [bloomA.width, bloomA.height];
+        twgl.bindFramebufferInfo(gl, bloomA);
+        runPass(postPrograms.bright, { u_source: sceneTexture, u_resolution: size, u_threshold: threshold });
+        twgl.bindFramebufferInfo(gl, bloomB);
+        runPass(postPrograms.blur, { u_source: bloomA.attachments[0], u_resolution: size, u_direction: [radius, 0] });
+        twgl.bindFramebufferInfo(gl, bloomA);
+        runPass(postPrograms.blur, { u_source: bloomB.attachments[0], u_resolution: size, u_direction: [0, radius] });
+    }
+
+    twgl.bindFramebufferInfo(gl, null);
+    runPass(postPrograms.composite, {
+        u_scene: sceneTexture,
+        u_bloom: bloomA.attachments[0],
+        u_resolution: [gl.canvas.width, gl.canvas.height],
+        // Calm mode keeps the grain still, like the CSS overlay it replaces
+        u_grainSeed: busScroll.reduced ? 0 : (shaderTime * 7.13 % 1) * 1000,
+        u_center: [0.5, 0.5],
+        u_bloomIntensity: postMix.bloom,
+        u_aberration: postMix.aberration,
+        u_radialBlur: postMix.radialBlur,
+        u_grain: postMix.grain
+    });
+}
 
-    requestAnimationFrame(render);
+/* -------- 6. PRELOAD: COMPILE, LINK & WARM -------- */
+// Compiling the fragment shader is the longest stall of the boot, so it runs behind the
+// loader (in parallel where KHR_parallel_shader_compile exists) and one throwaway frame
+// is forced through the driver before #enter-btn unlocks.
+// Programs, buffers and framebuffers; everything a lost context takes with it.
+// Only the latest build on a live context lands; one overtaken by a loss or a newer build rejects.
+let gpuBuilds = 0;
+
+function buildGpuResources() {
+    const build = ++gpuBuilds;
+    return Promise.all([
+        twgl.createProgramInfoAsync(gl, [vs, fs]),
+        twgl.createProgramInfoAsync(gl, [vs, brightFs]),
+        twgl.createProgramInfoAsync(gl, [vs, blurFs]),
+        twgl.createProgramInfoAsync(gl, [vs, compositeFs])
+    ]).then(([info, bright, blur, composite]) => {
+        if (build !== gpuBuilds || gl.isContextLost()) throw new Error("Stale GPU build");
+        programInfo = info;
+        Object.assign(postPrograms, { bright, blur, composite });
+        bufferInfo = twgl.createBufferInfoFromArrays(gl, arrays);
+        frameTarget = twgl.createFramebufferInfo(gl, frameTargetAttachments, 1, 1);
+        bloomTargets = [1, 2].map(() => twgl.createFramebufferInfo(gl, frameTargetAttachments, 1, 1));
+        resizeFrameTarget();
+        shaderLoop.needsBuild = false;
+    });
 }
 
-// Boot the eternal loop
-requestAnimationFrame(render);
+function prepareShaderEngine(report) {
+    if (!gl) {
+        if (!fallback2d) return Promise.reject(new Error("WebGL 2 not supported"));
+        shaderLoop.ready = true;
+        startShaderLoop();
+        return;
+    }
+
+    // A context lost mid-build may never finish compiling, so the loader doesn't wait on it:
+    // the page opens on the static backdrop and the restore handler (see 7.1) builds instead
+    const lost = gl.isContextLost() ? Promise.resolve() : new Promise((resolve) => {
+        canvas.addEventListener('webglcontextlost', resolve, { once: true });
+    });
+    const boot = buildGpuResources().then(() => {
+        report(0.8);
+
+        // Warm-up draw; reading a pixel back blocks until the GPU has really run it
+        drawField();
+        gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(4));
+
+        // Boot the eternal loop
+        shaderLoop.ready = true;
+        syncCssGrain();
+        startShaderLoop();
+
+        // Log to signify engine completely engaged
+        console.log("🌀 WEBGL Chrono-Shader Engine Booted.");
+    });
+    return Promise.race([boot, lost]);
+}
 
-// Log to signify engine completely engaged
-console.log("🌀 WEBGL Chrono-Shader Engine Booted.");
+ChronosBus.on('preload', ({ track }) => track('时空着色器', prepareShaderEngine));
+
+/* -------- 7. FALLBACKS: CONTEXT LOSS & CANVAS 2D FIELD -------- */
+// 7.1 A GPU reset or driver update drops the context. preventDefault asks the browser to give
+// it back; until then the loop parks on the static backdrop, and on restore every program and
+// framebuffer is rebuilt from source before the loop resumes where it left off.
+canvas.addEventListener('webglcontextlost', (e) => {
+    e.preventDefault();
+    console.warn("WebGL context lost, waiting for restore.");
+    shaderLoop.ready = false;
+    shaderLoop.needsBuild = true;
+    startShaderLoop(); // Cancels the pending frame
+    programInfo = bufferInfo = frameTarget = bloomTargets = null;
+    Object.keys(postPrograms).forEach(name => { postPrograms[name] = null; });
+    syncCssGrain();
+    setStaticBackdrop(true);
+});
+
+canvas.addEventListener('webglcontextrestored', () => {
+    // Also when the loss came mid-preload: that build was abandoned, so this one boots the field
+    if (!shaderLoop.needsBuild) return;
+    buildGpuResources()
+        .then(() => {
+            setStaticBackdrop(false);
+            shaderLoop.ready = true;
+            syncCssGrain();
+            startShaderLoop();
+            console.log("🌀 WEBGL context restored.");
+        })
+        .catch(err => console.error("WebGL context restore failed; keeping the static background.", err));
+});
+
+// 7.2 Canvas 2D field: a few octaves of value noise on a coarse grid, warped by scroll speed and
+// tinted with the shader's palette, then stretched (smoothly) to the viewport by CSS
+
+function resizeFallbackCanvas() {
+    const width = Math.ceil(window.innerWidth / FALLBACK_DOWNSCALE);
+    const height = Math.ceil(window.innerHeight / FALLBACK_DOWNSCALE);
+    canvas.style.width = '100vw';
+    canvas.style.height = '100vh';
+    if (canvas.width !== width || canvas.height !== height || !fallbackImage) {
+        canvas.width = width;
+        canvas.height = height;
+        fallbackImage = fallback2d.createImageData(width, height);
+    }
+    uniforms.u_resolution = [width, height];
+}
+
+function latticeHash(x, y) {
+    let h = Math.imul(x, 374761393) + Math.imul(y, 668265263);
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+function valueNoise(x, y) {
+    const xi = Math.floor(x);
+    const yi = Math.floor(y);
+    const xf = x - xi;
+    const yf = y - yi;
+    const u = xf * xf * (3 - 2 * xf);
+    const v = yf * yf * (3 - 2 * yf);
+    const a = latticeHash(xi, yi);
+    const b = latticeHash(xi + 1, yi);
+    const c = latticeHash(xi, yi + 1);
+    const d = latticeHash(xi + 1, yi + 1);
+    return (a + (b - a) * u + (c - a) * v + (a - b - c + d) * u * v) * 2 - 1;
+}
+
+function fallbackFbm(x, y) {
+    let value = 0;
+    let amplitude = 0.5;
+    for (let i = 0; i < 3; i++) {
+        value += amplitude * valueNoise(x, y);
+        x = x * 2 + 100;
+        y = y * 2 + 100;
+        amplitude *= 0.5;
+    }
+    return value;
+}
+
+function drawFallbackField(now) {
+    if (now - fallbackDrawnAt < FALLBACK_FRAME) return;
+    fallbackDrawnAt = now;
+
+    const [width, height] = uniforms.u_resolution;
+    const progress = uniforms.u_scrollProgress;
+    const t = uniforms.u_time * 0.1 * (1 + progress * 2);
+    const warpForce = 0.6 * uniforms.u_warp + Math.abs(uniforms.u_scrollVelocity) * 2;
+    const smoothstep = (edge0, edge1, x) => {
+        const k = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+        return k * k * (3 - 2 * k);
+    };
+
+    // Same palette as the shader: the blended scene look
+    const voidColor = uniforms.u_colorBase;
+    const memoryColor = uniforms.u_colorAccent;
+
+    const data = fallbackImage.data;
+    let p = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const sx = (x / height) * 3;
+            const sy = (1 - y / height) * 3;
+            const warp = fallbackFbm(sx + t, sy - t) * warpForce;
+            const noiseVal = fallbackFbm(sx + warp + t * 1.5, sy + warp) * 1.6; // Value noise is flatter than simplex
+
+            const blend = smoothstep(0.2, 0.8, noiseVal);
+            const ring = noiseVal * 10;
+            const contour = smoothstep(0.4, 0.45, Math.abs(ring - Math.floor(ring) - 0.5));
+            const ux = (x / width) * 2 - 1;
+            const uy = (y / height) * 2 - 1;
+            const shade = Math.max(0, 1 - (ux * ux + uy * uy) * 0.6) * (1 - contour * uniforms.u_contour);
+
+            data[p++] = (voidColor[0] + (memoryColor[0] - voidColor[0]) * blend) * shade * 255;
+            data[p++] = (voidColor[1] + (memoryColor[1] - voidColor[1]) * blend) * shade * 255;
+            data[p++] = (voidColor[2] + (memoryColor[2] - voidColor[2]) * blend) * shade * 255;
+            data[p++] = 255;
+        }
+    }
+    fallback2d.putImageData(fallbackImage, 0, 0);
+}
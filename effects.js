@@ -16,16 +16,30 @@ class HourglassEngine {
         this.grainsFallen = 0;
         this.lastSpawnTime = 0;
         this.activeParticles = [];
-        this.scrollVelocity = 0;
+        this.scrollIntensity = 0; // 0 to 1, frame-rate independent
         this.progress = 0; // 0 to 1 inside the scene
+        this.lastFrameTime = 0;
 
+        this.frame = null;
         this.render = this.render.bind(this);
-        requestAnimationFrame(this.render);
+        this.resume();
     }
 
-    setScrollData(progress, velocity) {
+    // Page lifecycle: stop the loop while hidden; the first frame back has no dt
+    pause() {
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+    }
+
+    resume() {
+        if (!this.svg || this.frame) return;
+        this.lastFrameTime = 0;
+        this.frame = requestAnimationFrame(this.render);
+    }
+
+    setScrollData(progress, intensity) {
         this.progress = Math.max(0, Math.min(1, progress));
-        this.scrollVelocity = Math.abs(velocity);
+        this.scrollIntensity = Math.min(1, Math.abs(intensity));
     }
 
     spawnGrain() {
@@ -47,8 +61,8 @@ class HourglassEngine {
             el: circle,
             x: x,
             y: y,
-            vy: 2 + Math.random() * 2,
-            vx: (Math.random() - 0.5) * 1.5,
+            vy: 120 + Math.random() * 120, // SVG units per second
+            vx: (Math.random() - 0.5) * 90,
             life: 1.0
         });
 
@@ -58,6 +72,13 @@ class HourglassEngine {
         }
     }
 
+    // Where the neck (100, 200 in SVG units) is on screen right now, for positional audio
+    neckOnScreen() {
+        const m = this.svg.getScreenCTM();
+        if (!m) return { x: window.innerWidth / 2, y: window.innerHeight / 2 };
+        return { x: m.a * 100 + m.c * 200 + m.e, y: m.b * 100 + m.d * 200 + m.f };
+    }
+
     updateSandLevels() {
         // Adjust the height of top and bottom sand based on scene progress (0 -> 1)
         // Top sand goes down, Bottom sand builds up
@@ -72,25 +93,29 @@ class HourglassEngine {
     }
 
     render(time) {
+        const dt = this.lastFrameTime ? Math.min((time - this.lastFrameTime) / 1000, 0.1) : 0;
+        this.lastFrameTime = time;
+
         // Spawn based on velocity and progress
-        if (this.progress > 0.05 && this.progress < 0.95 && this.scrollVelocity > 5) {
-            if (time - this.lastSpawnTime > (2000 / Math.max(10, this.scrollVelocity))) {
-                let spawnCount = Math.min(5, Math.ceil(this.scrollVelocity / 100));
+        // (intensity 1.0 maps to the old 1500px scroll gap the rates were tuned for)
+        const pace = this.scrollIntensity * 1500;
+        if (this.progress > 0.05 && this.progress < 0.95 && pace > 5) {
+            if (time - this.lastSpawnTime > (2000 / Math.max(10, pace))) {
+                let spawnCount = Math.min(5, Math.ceil(pace / 100));
                 for (let i = 0; i < spawnCount; i++) this.spawnGrain();
                 this.lastSpawnTime = time;
 
-                // Audio click trigger
-                if (window.AudioEngine_PlaySandClick) {
-                    window.AudioEngine_PlaySandClick();
-                }
+                // Audio click trigger, heard from the neck
+                const neck = this.neckOnScreen();
+                ChronosBus.emit('sand:grain', { count: spawnCount, x: neck.x, y: neck.y });
             }
         }
 
         // Update active particles
         for (let i = this.activeParticles.length - 1; i >= 0; i--) {
             let p = this.activeParticles[i];
-            p.y += p.vy;
-            p.x += p.vx;
+            p.y += p.vy * dt;
+            p.x += p.vx * dt;
 
             p.el.setAttribute("cx", p.x);
             p.el.setAttribute("cy", p.y);
@@ -104,7 +129,7 @@ class HourglassEngine {
         }
 
         this.updateSandLevels();
-        requestAnimationFrame(this.render);
+        this.frame = requestAnimationFrame(this.render);
     }
 }
 
@@ -116,9 +141,20 @@ class TimelineAnimator {
         this.nowClock = document.getElementById('timeline-now-clock');
         this.activeIndex = -1;
 
-        if (this.nowClock) {
-            setInterval(this.updateClock.bind(this), 100);
-        }
+        this.clockTimer = null;
+        this.resume();
+    }
+
+    // Page lifecycle: the "now" clock only runs while someone can see it
+    pause() {
+        clearInterval(this.clockTimer);
+        this.clockTimer = null;
+    }
+
+    resume() {
+        if (!this.nowClock || this.clockTimer) return;
+        this.updateClock();
+        this.clockTimer = setInterval(this.updateClock.bind(this), 100);
     }
 
     updateClock() {
@@ -158,8 +194,19 @@ class MeltingClockRenderer {
         this.canvas.height = this.height;
 
         this.meltFactor = 0; // 0 to 1
+        this.frame = null;
         this.render = this.render.bind(this);
-        requestAnimationFrame(this.render);
+        this.resume();
+    }
+
+    pause() {
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+    }
+
+    resume() {
+        if (!this.canvas || this.frame) return;
+        this.frame = requestAnimationFrame(this.render);
     }
 
     setMeltFactor(factor) {
@@ -282,7 +329,7 @@ class MeltingClockRenderer {
         this.drawClockBase(this.width * 0.2, this.height * 0.7, 80, 2);
         this.drawClockBase(this.width * 0.8, this.height * 0.6, 90, 4);
 
-        requestAnimationFrame(this.render);
+        this.frame = requestAnimationFrame(this.render);
     }
 }
 
@@ -293,6 +340,7 @@ class SceneTransitionController {
         this.maskRight = document.querySelector('.mask-right');
         this.sceneInd = document.querySelector('.current-scene');
         this.isAnimating = false;
+        this.reducedMotion = false;
     }
 
     updateSceneIndicator(index) {
@@ -305,6 +353,24 @@ class SceneTransitionController {
         if (!this.maskLeft || this.isAnimating) return;
         this.isAnimating = true;
 
+        // Calm mode: a soft veil instead of the sweeping wipe
+        if (this.reducedMotion) {
+            const masks = [this.maskLeft, this.maskRight];
+            gsap.set(masks, { scaleX: 1, opacity: 0 });
+            gsap.to(masks, {
+                opacity: 0.6,
+                duration: 0.4,
+                ease: "sine.inOut",
+                yoyo: true,
+                repeat: 1,
+                onComplete: () => {
+                    gsap.set(masks, { scaleX: 0, opacity: 1 });
+                    this.isAnimating = false;
+                }
+            });
+            return;
+        }
+
         // Quick close and open
         gsap.to([this.maskLeft, this.maskRight], {
             scaleX: 1,
@@ -338,12 +404,14 @@ class TimeFingerprintGenerator {
         this.nodes = [];
     }
 
-    recordData(vel, progress) {
-        if (Math.random() > 0.95 && vel > 10) {
+    // vel in px/s; dt scales the sampling odds so every refresh rate records alike
+    recordData(vel, progress, dt = 1 / 60) {
+        const chance = 1 - Math.pow(0.95, dt * 60);
+        if (Math.random() < chance && vel > 50) {
             this.nodes.push({
                 radius: 50 + (progress * 100),
                 angle: (vel % 360) * (Math.PI / 180),
-                intensity: Math.min(1, vel / 1000)
+                intensity: Math.min(1, vel / 4800)
             });
         }
     }
@@ -371,11 +439,379 @@ class TimeFingerprintGenerator {
     }
 }
 
-// Export instances to global window object
-window.CHRONOS_EFFECTS = {
+/* -------- 6. ACCRETION DISK RENDERER -------- */
+// Fills #bh-particles with a WebGL2 particle disk. Particle state (radius, angle, height, age)
+// lives on the GPU and is stepped by a transform-feedback pass each frame, then drawn as additive
+// points. Without WebGL2 the placeholder stays empty and the CSS disk carries the scene alone.
+const ACCRETION_PARTICLES = 6000;
+const ACCRETION_TILT = 0.4; // Matches the scaleY(0.4) of the CSS .accretion-disk
+const ACCRETION_OUTER = 0.95; // Spawn radius, in units of the canvas half-size
+const ACCRETION_HORIZON = 0.28; // .event-horizon radius at rest, same units
+
+const ACCRETION_UPDATE_VS = `#version 300 es
+in vec4 a_state; // r, theta, height, age
+in vec2 a_seed;
+uniform float u_dt;
+uniform float u_time;
+uniform float u_inflow; // Radial fall speed, units per second
+uniform float u_spin; // Orbit speed multiplier
+uniform float u_horizon;
+out vec4 v_state;
+
+float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+}
+
+void main() {
+    float r = a_state.x;
+    float theta = a_state.y;
+    float age = a_state.w + u_dt;
+
+    // Keplerian orbit: inner particles whip round, outer ones drift
+    theta += u_spin * 0.35 * pow(max(r, 0.05), -1.5) * u_dt;
+    // The fall speeds up as the particle nears the hole
+    r -= u_inflow * (0.6 + 0.8 * a_seed.x) * (0.4 + 0.6 / max(r, 0.2)) * u_dt;
+
+    if (r < u_horizon) {
+        // Swallowed: respawn at the rim somewhere new
+        float h = hash(a_seed + u_time);
+        r = ACCRETION_OUTER * (0.7 + 0.3 * h);
+        theta = hash(a_seed.yx + u_time) * 6.2831853;
+        age = 0.0;
+    }
+
+    v_state = vec4(r, mod(theta, 6.2831853), a_state.z, age);
+}
+`;
+
+// The update pass rasterizes nothing, but a program still needs a fragment stage
+const ACCRETION_UPDATE_FS = `#version 300 es
+precision mediump float;
+out vec4 outColor;
+void main() { outColor = vec4(0.0); }
+`;
+
+const ACCRETION_DRAW_VS = `#version 300 es
+in vec4 a_state;
+in vec2 a_seed;
+uniform float u_pixelRatio;
+uniform float u_thickness; // Vertical scatter of the disk, flares with scroll speed
+uniform float u_horizon;
+out float v_heat;
+out float v_alpha;
+
+void main() {
+    float r = a_state.x;
+    float theta = a_state.y;
+    vec2 pos = vec2(cos(theta), sin(theta) * ACCRETION_TILT) * r;
+    pos.y += a_state.z * u_thickness * r;
+
+    // Hotter towards the hole; the side orbiting towards the viewer is beamed brighter
+    v_heat = clamp(1.0 - (r - u_horizon) / (ACCRETION_OUTER - u_horizon), 0.0, 1.0);
+    float beaming = 0.75 + 0.35 * cos(theta);
+    float fadeIn = min(a_state.w * 1.5, 1.0);
+    float fadeOut = smoothstep(u_horizon, u_horizon + 0.08, r);
+    v_alpha = fadeIn * fadeOut * beaming * (0.35 + 0.65 * v_heat);
+
+    gl_Position = vec4(pos, 0.0, 1.0);
+    gl_PointSize = (1.0 + a_seed.y * 2.0 + v_heat * 1.5) * u_pixelRatio;
+}
+`;
+
+const ACCRETION_DRAW_FS = `#version 300 es
+precision mediump float;
+in float v_heat;
+in float v_alpha;
+out vec4 outColor;
+
+void main() {
+    float d = length(gl_PointCoord - 0.5);
+    if (d > 0.5) discard;
+    // Deep red at the rim, #ff6f00 through the body, white-hot at the edge of the horizon
+    vec3 rim = vec3(0.45, 0.08, 0.02);
+    vec3 body = vec3(1.0, 0.435, 0.0);
+    vec3 core = vec3(1.0, 0.92, 0.75);
+    vec3 color = v_heat < 0.6 ? mix(rim, body, v_heat / 0.6) : mix(body, core, (v_heat - 0.6) / 0.4);
+    outColor = vec4(color, v_alpha * (1.0 - d * 2.0));
+}
+`;
+
+class AccretionDiskRenderer {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
+
+        this.canvas = document.createElement('canvas');
+        this.gl = this.canvas.getContext('webgl2', { alpha: true, antialias: false, premultipliedAlpha: false });
+        if (!this.gl || !this.build()) {
+            this.gl = null;
+            return;
+        }
+        this.container.appendChild(this.canvas);
+
+        this.trigger = null; // The horizon scene's own pinned ScrollTrigger, which scrubs .event-horizon
+        this.progress = 0; // Its progress, 0 to 1, read every frame
+        this.velocity = 0; // Scroll intensity, eased, 0 to 1
+        this.targetVelocity = 0;
+        this.reducedMotion = false;
+        this.visible = false; // Only runs while the horizon scene is on screen
+        this.active = true; // Page lifecycle
+        this.lastFrameTime = 0;
+        this.time = 0;
+
+        this.canvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault();
+            this.pause();
+            this.programs = null;
+        });
+        this.canvas.addEventListener('webglcontextrestored', () => {
+            if (this.build()) this.resume();
+        });
+
+        this.frame = null;
+        this.render = this.render.bind(this);
+    }
+
+    compile(vs, fs, varyings) {
+        const gl = this.gl;
+        const define = `#define ACCRETION_OUTER ${ACCRETION_OUTER.toFixed(3)}\n#define ACCRETION_TILT ${ACCRETION_TILT.toFixed(3)}\n`;
+        const withDefines = (src) => src.replace('\n', '\n' + define);
+        const shader = (type, src) => {
+            const s = gl.createShader(type);
+            gl.shaderSource(s, withDefines(src));
+            gl.compileShader(s);
+            if (!gl.getShaderParameter(s, gl.COMPILE_STATUS)) console.error(gl.getShaderInfoLog(s));
+            return s;
+        };
+        const program = gl.createProgram();
+        gl.attachShader(program, shader(gl.VERTEX_SHADER, vs));
+        gl.attachShader(program, shader(gl.FRAGMENT_SHADER, fs));
+        if (varyings) gl.transformFeedbackVaryings(program, varyings, gl.SEPARATE_ATTRIBS);
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            console.error('Accretion disk shader failed to link', gl.getProgramInfoLog(program));
+            return null;
+        }
+        const uniforms = {};
+        for (let i = 0; i < gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS); i++) {
+            const name = gl.getActiveUniform(program, i).name;
+            uniforms[name] = gl.getUniformLocation(program, name);
+        }
+        return { program, uniforms };
+    }
+
+    // Programs, the ping-pong state buffers and their vertex arrays; run again after a context restore
+    build() {
+        const gl = this.gl;
+        const update = this.compile(ACCRETION_UPDATE_VS, ACCRETION_UPDATE_FS, ['v_state']);
+        const draw = this.compile(ACCRETION_DRAW_VS, ACCRETION_DRAW_FS);
+        if (!update || !draw) return false;
+        this.programs = { update, draw };
+
+        const state = new Float32Array(ACCRETION_PARTICLES * 4);
+        const seeds = new Float32Array(ACCRETION_PARTICLES * 2);
+        for (let i = 0; i < ACCRETION_PARTICLES; i++) {
+            // Start spread across the disk (denser inside) and part-way through their fade-in
+            state[i * 4] = ACCRETION_HORIZON + (ACCRETION_OUTER - ACCRETION_HORIZON) * Math.sqrt(Math.random());
+            state[i * 4 + 1] = Math.random() * Math.PI * 2;
+            state[i * 4 + 2] = (Math.random() + Math.random() + Math.random() - 1.5) / 1.5;
+            state[i * 4 + 3] = Math.random();
+            seeds[i * 2] = Math.random();
+            seeds[i * 2 + 1] = Math.random();
+        }
+
+        const seedBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, seedBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, seeds, gl.STATIC_DRAW);
+
+        this.buffers = [0, 1].map(() => {
+            const buffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+            gl.bufferData(gl.ARRAY_BUFFER, state, gl.DYNAMIC_COPY);
+            return buffer;
+        });
+
+        const vertexArray = ({ program }, buffer) => {
+            const vao = gl.createVertexArray();
+            gl.bindVertexArray(vao);
+            const bind = (name, buf, size) => {
+                const loc = gl.getAttribLocation(program, name);
+                if (loc < 0) return;
+                gl.bindBuffer(gl.ARRAY_BUFFER, buf);
+                gl.enableVertexAttribArray(loc);
+                gl.vertexAttribPointer(loc, size, gl.FLOAT, false, 0, 0);
+            };
+            bind('a_state', buffer, 4);
+            bind('a_seed', seedBuffer, 2);
+            return vao;
+        };
+        // updateArrays[i] reads buffers[i]; drawArrays[i] draws what was just written into buffers[i]
+        this.updateArrays = this.buffers.map(buffer => vertexArray(update, buffer));
+        this.drawArrays = this.buffers.map(buffer => vertexArray(draw, buffer));
+        gl.bindVertexArray(null);
+        // A buffer may not sit on ARRAY_BUFFER while transform feedback writes into it
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
+
+        this.feedback = gl.createTransformFeedback();
+        this.current = 0;
+        return true;
+    }
+
+    pause() {
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+    }
+
+    resume() {
+        if (!this.gl || !this.programs || this.frame || !this.visible || !this.active) return;
+        this.lastFrameTime = 0;
+        this.frame = requestAnimationFrame(this.render);
+    }
+
+    setVisible(visible) {
+        if (!this.gl) return;
+        this.visible = visible;
+        if (visible) this.resume();
+        else this.pause();
+    }
+
+    setActive(active) {
+        if (!this.gl) return;
+        this.active = active;
+        if (active) this.resume();
+        else this.pause();
+    }
+
+    // The scene's built-in enter/leave trigger spans the whole time it is on screen, but the
+    // horizon tween runs on the pinned one (top top -> +=150vh), so that is the one followed
+    setScrollData(trigger, intensity) {
+        this.trigger = trigger;
+        this.targetVelocity = Math.min(1, Math.abs(intensity));
+    }
+
+    resize() {
+        const dpr = Math.min(window.devicePixelRatio || 1, 2);
+        const width = Math.floor(this.container.clientWidth * dpr);
+        const height = Math.floor(this.container.clientHeight * dpr);
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        return dpr;
+    }
+
+    render(time) {
+        const gl = this.gl;
+        const dt = this.lastFrameTime ? Math.min((time - this.lastFrameTime) / 1000, 0.1) : 0;
+        this.lastFrameTime = time;
+        this.time += dt;
+
+        // Velocity eases so a flick flares the disk and lets it settle back
+        const target = this.reducedMotion ? 0 : this.targetVelocity;
+        this.velocity += (target - this.velocity) * (1 - Math.pow(0.02, dt));
+
+        // Mirrors the GSAP tween on .event-horizon (scale 1 -> 6, power1.in) on the same trigger
+        this.progress = this.trigger ? this.trigger.progress : 0;
+        const horizon = ACCRETION_HORIZON * (1 + 5 * this.progress * this.progress);
+        // Inflow climbs with the scene, so the disk drains into the hole as it grows
+        const calm = this.reducedMotion ? 0.25 : 1;
+        const inflow = (0.015 + this.progress * 0.35 + this.velocity * 0.2) * calm;
+        const spin = (1 + this.velocity * 1.5) * calm;
+
+        // 6.1 Step the particles: buffers[current] -> buffers[next]
+        const next = 1 - this.current;
+        const { update, draw } = this.programs;
+        gl.useProgram(update.program);
+        gl.uniform1f(update.uniforms.u_dt, dt);
+        gl.uniform1f(update.uniforms.u_time, this.time);
+        gl.uniform1f(update.uniforms.u_inflow, inflow);
+        gl.uniform1f(update.uniforms.u_spin, spin);
+        gl.uniform1f(update.uniforms.u_horizon, horizon);
+        gl.bindVertexArray(this.updateArrays[this.current]);
+        gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, this.feedback);
+        gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 0, this.buffers[next]);
+        gl.enable(gl.RASTERIZER_DISCARD);
+        gl.beginTransformFeedback(gl.POINTS);
+        gl.drawArrays(gl.POINTS, 0, ACCRETION_PARTICLES);
+        gl.endTransformFeedback();
+        gl.disable(gl.RASTERIZER_DISCARD);
+        gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 0, null);
+        gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, null);
+        this.current = next;
+
+        // 6.2 Draw them additively over a transparent canvas
+        const dpr = this.resize();
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+        gl.useProgram(draw.program);
+        gl.uniform1f(draw.uniforms.u_pixelRatio, dpr);
+        gl.uniform1f(draw.uniforms.u_thickness, 0.03 + this.velocity * 0.12);
+        gl.uniform1f(draw.uniforms.u_horizon, horizon);
+        gl.bindVertexArray(this.drawArrays[next]);
+        gl.drawArrays(gl.POINTS, 0, ACCRETION_PARTICLES);
+        gl.bindVertexArray(null);
+
+        this.frame = requestAnimationFrame(this.render);
+    }
+}
+
+/* -------- 7. BUS WIRING -------- */
+// Effects only listen; main.js never needs a handle on these instances
+const sceneEffects = {
     Hourglass: new HourglassEngine(),
     Timeline: new TimelineAnimator(),
     Dali: new MeltingClockRenderer('dali-canvas'),
     Transition: new SceneTransitionController(),
-    Fingerprint: new TimeFingerprintGenerator('fingerprint-canvas')
+    Fingerprint: new TimeFingerprintGenerator('fingerprint-canvas'),
+    Accretion: new AccretionDiskRenderer('bh-particles')
 };
+
+let latestScrollIntensity = 0;
+
+ChronosBus.on('scroll', ({ velocity, intensity, progress, dt }) => {
+    latestScrollIntensity = intensity;
+    if (sceneEffects.Fingerprint.canvas) sceneEffects.Fingerprint.recordData(Math.abs(velocity), progress, dt);
+});
+
+ChronosBus.on('scene:progress', ({ scene, progress }) => {
+    if (scene.id === 'scene-hourglass' && sceneEffects.Hourglass.svg) {
+        sceneEffects.Hourglass.setScrollData(progress, latestScrollIntensity);
+    } else if (scene.id === 'scene-horizon') {
+        sceneEffects.Accretion.setScrollData(scene.trigger, latestScrollIntensity);
+    } else if (scene.id === 'scene-dali' && sceneEffects.Dali.canvas) {
+        sceneEffects.Dali.setMeltFactor(progress * 1.5);
+    }
+});
+
+ChronosBus.on('scene:active', ({ scene, direction }) => {
+    sceneEffects.Transition.updateSceneIndicator(scene.number);
+    if (direction > 0 && scene.index > 0) sceneEffects.Transition.triggerTransition();
+
+    if (direction > 0 && scene.id === 'scene-epilogue') sceneEffects.Fingerprint.generate();
+});
+
+ChronosBus.on('scene:enter', ({ scene }) => {
+    if (scene.id === 'scene-horizon') sceneEffects.Accretion.setVisible(true);
+});
+
+ChronosBus.on('scene:leave', ({ scene }) => {
+    if (scene.id === 'scene-horizon') sceneEffects.Accretion.setVisible(false);
+});
+
+ChronosBus.on('timeline:node', ({ index }) => sceneEffects.Timeline.activateNode(index));
+
+ChronosBus.on('motion', ({ reduced }) => {
+    sceneEffects.Transition.reducedMotion = reduced;
+    sceneEffects.Accretion.reducedMotion = reduced;
+}, { replay: true });
+
+ChronosBus.on('lifecycle', ({ active }) => {
+    [sceneEffects.Hourglass, sceneEffects.Timeline, sceneEffects.Dali].forEach(effect => {
+        if (active) effect.resume();
+        else effect.pause();
+    });
+    sceneEffects.Accretion.setActive(active);
+}, { replay: true });
@@ -4,8 +4,7 @@
    ========================================================================= */
 
 // ----- A. GLOBALS & STATE ----- //
-window.__SCROLL_MOMENTUM = 0;
-window.__GLOBAL_PROGRESS = 0;
+// Other modules never read this directly: everything they need goes out on ChronosBus (bus.js)
 
 const state = {
     isLoaded: false,
@@ -14,11 +13,17 @@ const state = {
         y: 0,
         target: 0,
         limit: 0,
-        ease: 0.08,  // How slow the momentum catches up
-        velocity: 0
+        ease: 0.08,  // How slow the momentum catches up (per 60 Hz frame)
+        velocity: 0, // px/second, signed
+        intensity: 0, // |velocity| normalized to 0-1
+        maxVelocity: 7200, // px/second that counts as full intensity
+        fling: 0, // px/second of touch inertia still in flight
+        progress: 0 // 0-1 through the whole piece
     },
     mouse: { x: window.innerWidth / 2, y: window.innerHeight / 2 },
-    timeWasted: 0
+    reducedMotion: false, // "Calm" mode: native scroll, frozen shader, no glitches
+    pageActive: true, // False while the tab is hidden, frozen or in the back/forward cache
+    timeWasted: 0 // Whole seconds on the page since entering, visible time only (see C.5)
 };
 
 // Register GSAP Plugins
@@ -29,66 +34,213 @@ CustomEase.create("timeWarp", "M0,0,C0.1,0.9,0.2,1,1,1");
 
 // ----- B. DOM UTILITY & MANIPULATION ----- //
 
-// A custom lightweight text splitting engine heavily inspired by SplitText
-// Maps standard text nodes to individually targetable span characters
-const splitTextCore = () => {
-    // 1. Split Characters
-    const charTargets = document.querySelectorAll('.split-chars');
-    charTargets.forEach(el => {
-        let text = el.innerText;
-        el.innerHTML = '';
-        el.style.opacity = '1';
-        [...text].forEach(char => {
-            let span = document.createElement('span');
-            span.innerHTML = char === ' ' ? '&nbsp;' : char;
-            span.style.display = 'inline-block';
-            // Pre-set matrix to avoid FOUC
-            span.style.transform = "translate(0px, 100%)";
-            span.style.opacity = "0";
-            span.className = "char";
-            el.appendChild(span);
+// A custom lightweight text splitting engine heavily inspired by SplitText.
+// Text is cut with Intl.Segmenter (graphemes for chars, dictionary words for words, so unspaced
+// Chinese and emoji / combining marks survive), only text nodes are replaced so nested markup
+// stays put, and each target keeps its original text in a visually hidden copy while the pieces
+// are aria-hidden, so screen readers get the sentence instead of one letter at a time.
+// (aria-label would not do: it is ignored on the plain <p> / <blockquote> most targets are.)
+const textSegmenters = {};
+
+// [{ segment, isWordLike }] for text, with a whitespace / code point fallback for old engines
+const segmentText = (text, granularity) => {
+    if (typeof Intl === 'undefined' || !Intl.Segmenter) {
+        const parts = granularity === 'word' ? text.split(/(\s+)/) : Array.from(text);
+        return parts.filter(Boolean).map(segment => ({ segment, isWordLike: /\S/.test(segment) }));
+    }
+    if (!textSegmenters[granularity]) {
+        textSegmenters[granularity] = new Intl.Segmenter(document.documentElement.lang || undefined, { granularity });
+    }
+    return Array.from(textSegmenters[granularity].segment(text));
+};
+
+// Original copy of every split target, read before the first split
+const splitTargetText = new WeakMap();
+
+const labelSplitTarget = (el) => {
+    if (!splitTargetText.has(el)) {
+        splitTargetText.set(el, (el.innerText || el.textContent).replace(/\s+/g, ' ').trim());
+    }
+    el.style.opacity = '1';
+};
+
+// Appended after each split (a line re-split rebuilds the children, so it goes again)
+const appendSplitCopy = (el) => {
+    const copy = document.createElement('span');
+    copy.className = 'sr-only';
+    copy.textContent = splitTargetText.get(el);
+    el.appendChild(copy);
+};
+
+// Replaces every text node under el with makePiece(segment) spans. Whitespace stays a plain
+// (collapsed) text node so wrapping behaves like the authored text; in word mode, punctuation
+// rides on the word before it instead of starting a line on its own.
+const splitTextNodes = (el, granularity, makePiece) => {
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    textNodes.forEach(node => {
+        const fragment = document.createDocumentFragment();
+        let previous = null;
+        segmentText(node.data, granularity).forEach(({ segment, isWordLike }) => {
+            if (!/\S/.test(segment)) {
+                if (!(fragment.lastChild instanceof Text)) fragment.appendChild(document.createTextNode(' '));
+                previous = null;
+            } else if (granularity === 'word' && !isWordLike && previous) {
+                previous.textContent += segment;
+            } else {
+                previous = makePiece(segment);
+                fragment.appendChild(previous);
+            }
         });
+        node.replaceWith(fragment);
+    });
+};
+
+const createSplitPiece = (text, className, transform) => {
+    const span = document.createElement('span');
+    span.textContent = text;
+    span.className = className;
+    span.setAttribute('aria-hidden', 'true');
+    span.style.display = 'inline-block';
+    // Pre-set matrix to avoid FOUC
+    span.style.transform = transform;
+    span.style.opacity = "0";
+    return span;
+};
+
+// .split-lines source markup and the width it was last split at
+const lineSplitCache = new WeakMap();
+
+// Splits by the lines the browser actually rendered: every grapheme is measured in place, then
+// each line is rebuilt in its own overflow wrapper, cloning whatever elements it passes through
+// (ids stay on the first copy). A re-split keeps the reveal state of the lines it replaces.
+const splitLines = (el) => {
+    if (!lineSplitCache.has(el)) lineSplitCache.set(el, { html: el.innerHTML, width: 0 });
+    const cache = lineSplitCache.get(el);
+    const shown = el.querySelector('.line');
+    const lineStyle = shown ? shown.style.cssText : 'display: block; transform: translateY(110%);';
+
+    el.innerHTML = cache.html;
+    cache.width = el.clientWidth;
+
+    // 1. Wrap each grapheme in a measurable inline span
+    const units = [];
+    const unitText = new Map();
+    splitTextNodes(el, 'grapheme', (segment) => {
+        const span = document.createElement('span');
+        span.textContent = segment;
+        units.push(span);
+        unitText.set(span, segment);
+        return span;
+    });
+
+    // Whitespace between two graphemes (even across elements) trails the first one;
+    // a <br> always starts a new line, whatever the measurement says
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+    const forcedBreaks = new Set();
+    let lastUnit = null;
+    let pendingBreak = false;
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        if (node.nodeName === 'BR') {
+            pendingBreak = true;
+        } else if (unitText.has(node)) {
+            if (pendingBreak) forcedBreaks.add(node);
+            pendingBreak = false;
+            lastUnit = node;
+        } else if (node.nodeType === Node.TEXT_NODE && node.parentNode === lastUnit) {
+            continue;
+        } else if (node.nodeType === Node.TEXT_NODE && lastUnit) {
+            unitText.set(lastUnit, unitText.get(lastUnit) + ' ');
+        }
+    }
+
+    // 2. Group by rendered line
+    const lines = [];
+    let lineTop = null;
+    units.forEach(span => {
+        const rect = span.getBoundingClientRect();
+        if (lineTop === null || forcedBreaks.has(span) || rect.top - lineTop > rect.height / 2) {
+            lines.push([]);
+            lineTop = rect.top;
+        }
+        lines[lines.length - 1].push(span);
     });
 
-    // 2. Split Words
-    const wordTargets = document.querySelectorAll('.split-words');
-    wordTargets.forEach(el => {
-        let words = el.innerText.split(' ');
-        el.innerHTML = '';
-        el.style.opacity = '1';
-        words.forEach(word => {
-            let span = document.createElement('span');
-            span.innerText = word + ' ';
-            span.style.display = 'inline-block';
-            span.style.transform = "translate(0px, 30px) rotate(3deg)";
-            span.style.opacity = "0";
-            span.className = "word";
-            el.appendChild(span);
+    // 3. Rebuild
+    const copied = new Set();
+    const fragment = document.createDocumentFragment();
+    lines.forEach(line => {
+        let wrapper = document.createElement('div');
+        wrapper.style.overflow = 'hidden';
+        wrapper.style.display = 'block';
+
+        let inner = document.createElement('span');
+        inner.className = 'line';
+        inner.setAttribute('aria-hidden', 'true');
+        inner.style.cssText = lineStyle;
+
+        wrapper.appendChild(inner);
+        fragment.appendChild(wrapper);
+
+        let open = []; // [authored element, its copy on this line], outermost first
+        line.forEach(span => {
+            const chain = [];
+            for (let node = span.parentNode; node !== el; node = node.parentNode) chain.unshift(node);
+
+            let depth = 0;
+            while (depth < open.length && depth < chain.length && open[depth][0] === chain[depth]) depth++;
+            open.length = depth;
+            chain.slice(depth).forEach(original => {
+                const copy = original.cloneNode(false);
+                if (copied.has(original)) copy.removeAttribute('id');
+                copied.add(original);
+                (open.length ? open[open.length - 1][1] : inner).appendChild(copy);
+                open.push([original, copy]);
+            });
+
+            (open.length ? open[open.length - 1][1] : inner).append(unitText.get(span));
         });
     });
 
-    // 3. Split Lines (using wrapper trick)
+    el.replaceChildren(fragment);
+    el.normalize();
+    appendSplitCopy(el);
+};
+
+const splitTextCore = () => {
+    // 1. Split Characters (grapheme clusters)
+    document.querySelectorAll('.split-chars').forEach(el => {
+        labelSplitTarget(el);
+        splitTextNodes(el, 'grapheme', segment => createSplitPiece(segment, 'char', "translate(0px, 100%)"));
+        appendSplitCopy(el);
+    });
+
+    // 2. Split Words (dictionary words, so Chinese splits too)
+    document.querySelectorAll('.split-words').forEach(el => {
+        labelSplitTarget(el);
+        splitTextNodes(el, 'word', segment => createSplitPiece(segment, 'word', "translate(0px, 30px) rotate(3deg)"));
+        appendSplitCopy(el);
+    });
+
+    // 3. Split Lines (by rendered line, redone when the width changes)
     const lineTargets = document.querySelectorAll('.split-lines');
     lineTargets.forEach(el => {
-        // Simple regex replace to wrap <br> separated lines in div
-        let html = el.innerHTML;
-        let lines = html.split(/<br\s*\/?>/i);
-        el.innerHTML = '';
-        el.style.opacity = '1';
-        lines.forEach(l => {
-            let wrapper = document.createElement('div');
-            wrapper.style.overflow = 'hidden';
-            wrapper.style.display = 'block';
-
-            let inner = document.createElement('span');
-            inner.innerHTML = l;
-            inner.style.display = 'block';
-            inner.style.transform = "translateY(110%)";
-            inner.className = 'line';
-
-            wrapper.appendChild(inner);
-            el.appendChild(wrapper);
-        });
+        labelSplitTarget(el);
+        splitLines(el);
+    });
+
+    let resplitTimer;
+    window.addEventListener('resize', () => {
+        clearTimeout(resplitTimer);
+        resplitTimer = setTimeout(() => {
+            const stale = Array.from(lineTargets).filter(el => el.clientWidth !== lineSplitCache.get(el).width);
+            if (!stale.length) return;
+            stale.forEach(splitLines);
+            ScrollTrigger.refresh();
+        }, 200);
     });
 };
 
@@ -98,8 +250,14 @@ const splitTextCore = () => {
 
 const scrollWrapper = document.getElementById('smooth-wrapper');
 const scrollContent = document.getElementById('smooth-content');
+const progressRail = document.getElementById('progress-scrubber');
 
-let scrollRAF;
+// Single entry point for moving the scroll target, so calm mode can hand it to native scroll
+const setScrollTarget = (value) => {
+    state.scroll.fling = 0; // An explicit move cancels any touch inertia
+    state.scroll.target = Math.max(0, Math.min(value, state.scroll.limit));
+    if (state.reducedMotion) scrollWrapper.scrollTop = state.scroll.target;
+};
 
 const initSmoothScroll = () => {
     // Calculate total height
@@ -115,7 +273,7 @@ const initSmoothScroll = () => {
 
     // Hijack mouse wheel
     window.addEventListener('wheel', (e) => {
-        if (!state.isLoaded) return;
+        if (!state.isLoaded || state.reducedMotion) return; // Calm mode scrolls natively
 
         let delta = e.deltaY;
 
@@ -130,74 +288,213 @@ const initSmoothScroll = () => {
 
     // Keyboard support (Space, Arrows)
     window.addEventListener('keydown', (e) => {
-        if (!state.isLoaded) return;
+        if (!state.isLoaded || e.altKey || e.ctrlKey || e.metaKey) return;
+        // Form controls (e.g. the mixer faders) own their keys; Space on a button presses it, it must not scroll too
+        const control = e.target.closest ? e.target.closest('button, a, input, textarea, select') : null;
+        if (control && (e.key === ' ' || control.matches('input, textarea, select'))) return;
         let amount = 0;
         switch (e.key) {
+            case '[': stepScene(-1); e.preventDefault(); return;
+            case ']': stepScene(1); e.preventDefault(); return;
             case 'ArrowDown': amount = 100; break;
             case 'ArrowUp': amount = -100; break;
             case 'PageDown': case ' ': amount = window.innerHeight * 0.8; break;
             case 'PageUp': amount = -window.innerHeight * 0.8; break;
-            case 'Home': state.scroll.target = 0; break;
-            case 'End': state.scroll.target = state.scroll.limit; break;
+            case 'Home': setScrollTarget(0); break;
+            case 'End': setScrollTarget(state.scroll.limit); break;
         }
         if (amount !== 0) {
-            state.scroll.target += amount;
-            state.scroll.target = Math.max(0, Math.min(state.scroll.target, state.scroll.limit));
+            setScrollTarget(state.scroll.target + amount);
             e.preventDefault();
         }
     });
 
     // Touch Support for mobile
-    let touchY = 0;
+    // Direct drag with rubber-band edges, then an exponentially decaying fling on release.
+    // Taps are told apart from drags so buttons like #btn-rewind keep working mid-scroll.
+    const touch = {
+        active: false,
+        dragging: false,
+        startX: 0,
+        startY: 0,
+        lastY: 0,
+        raw: 0,            // Unbounded drag position before rubber-banding
+        samples: [],       // Recent { t, y } for release velocity
+        suppressClickUntil: 0
+    };
+    const TOUCH_MULTIPLIER = 2.5;   // Finger px -> scroll px
+    const TAP_SLOP = 8;             // px a finger may wander and still be a tap
+    const FLING_DECAY = 0.325;      // Time constant (s) of the free-flight slowdown
+    const OVERSCROLL_DECAY = 0.05;  // Much stiffer once the fling leaves the bounds
+    const SAMPLE_WINDOW = 100;      // ms of history used to measure the release speed
+
+    // iOS-style resistance: the further you pull past an edge, the less it follows
+    const rubberBand = (raw) => {
+        const dim = window.innerHeight;
+        const band = (overshoot) => (1 - 1 / (overshoot * 0.55 / dim + 1)) * dim;
+        if (raw < 0) return -band(-raw);
+        if (raw > state.scroll.limit) return state.scroll.limit + band(raw - state.scroll.limit);
+        return raw;
+    };
+
     window.addEventListener('touchstart', (e) => {
-        touchY = e.touches[0].clientY;
+        if (!state.isLoaded || state.reducedMotion || e.touches.length > 1) return;
+        // The progress rail and the mixer own their drags (seeking, sliding a fader); buttons don't,
+        // they go through the tap slop below like any other touch
+        if (e.target.closest && e.target.closest('.hud-progress-frame, .audio-mixer')) return;
+        const t = e.touches[0];
+
+        // Catching a fast fling stops it, and that touch should not also click
+        if (Math.abs(state.scroll.fling) > 300) {
+            touch.suppressClickUntil = performance.now() + 400;
+            state.scroll.target = Math.max(0, Math.min(state.scroll.y, state.scroll.limit));
+        }
+        state.scroll.fling = 0;
+
+        touch.active = true;
+        touch.dragging = false;
+        touch.startX = t.clientX;
+        touch.startY = touch.lastY = t.clientY;
+        touch.raw = state.scroll.target;
+        touch.samples = [{ t: performance.now(), y: t.clientY }];
     }, { passive: true });
 
     window.addEventListener('touchmove', (e) => {
-        if (!state.isLoaded) return;
-        let deltaY = touchY - e.touches[0].clientY;
-        touchY = e.touches[0].clientY;
+        if (!state.isLoaded || state.reducedMotion || !touch.active) return;
+        const t = e.touches[0];
+
+        if (!touch.dragging) {
+            const moved = Math.hypot(t.clientX - touch.startX, t.clientY - touch.startY);
+            if (moved < TAP_SLOP) return;
+            touch.dragging = true;
+            touch.lastY = t.clientY; // Start the drag from here so the slop doesn't jump
+        }
 
-        state.scroll.target += deltaY * 2.5; // Touch multiplier
-        state.scroll.target = Math.max(0, Math.min(state.scroll.target, state.scroll.limit));
-    }, { passive: true });
+        // We own the gesture now: no pull-to-refresh or native bounce underneath
+        if (e.cancelable) e.preventDefault();
+
+        let deltaY = touch.lastY - t.clientY;
+        touch.lastY = t.clientY;
+
+        touch.raw += deltaY * TOUCH_MULTIPLIER;
+        state.scroll.target = rubberBand(touch.raw);
+
+        const now = performance.now();
+        touch.samples.push({ t: now, y: t.clientY });
+        while (touch.samples.length > 2 && now - touch.samples[0].t > SAMPLE_WINDOW) touch.samples.shift();
+    }, { passive: false });
+
+    const endTouch = () => {
+        if (!touch.active) return;
+        touch.active = false;
+        if (!touch.dragging) return; // A tap: let the native click through
+
+        touch.suppressClickUntil = performance.now() + 400;
+
+        // Release speed over the last SAMPLE_WINDOW ms; a finger that stopped before lifting doesn't fling
+        const first = touch.samples[0];
+        const last = touch.samples[touch.samples.length - 1];
+        const span = (last.t - first.t) / 1000;
+        const stale = performance.now() - last.t > 80;
+        state.scroll.fling = (span > 0 && !stale) ? ((first.y - last.y) / span) * TOUCH_MULTIPLIER : 0;
+
+        // Let go outside the bounds: the momentum lerp springs it back
+        if (state.scroll.target < 0 || state.scroll.target > state.scroll.limit) {
+            state.scroll.fling = 0;
+            state.scroll.target = Math.max(0, Math.min(state.scroll.target, state.scroll.limit));
+        }
+    };
+    window.addEventListener('touchend', endTouch, { passive: true });
+    window.addEventListener('touchcancel', endTouch, { passive: true });
+
+    // Swallow the synthetic click that some browsers still fire at the end of a drag
+    window.addEventListener('click', (e) => {
+        if (performance.now() < touch.suppressClickUntil) {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+    }, true);
+
+    // Advance the fling in the render loop, with a harder stop once it overshoots an edge
+    const stepTouchFling = (dt) => {
+        if (touch.active || state.scroll.fling === 0) return;
+
+        const maxOverscroll = window.innerHeight * 0.25;
+        state.scroll.target += state.scroll.fling * dt;
+        state.scroll.target = Math.max(-maxOverscroll, Math.min(state.scroll.target, state.scroll.limit + maxOverscroll));
+
+        const outside = state.scroll.target < 0 || state.scroll.target > state.scroll.limit;
+        state.scroll.fling *= Math.exp(-dt / (outside ? OVERSCROLL_DECAY : FLING_DECAY));
+
+        if (Math.abs(state.scroll.fling) < 10) {
+            state.scroll.fling = 0;
+            // Releases any overscroll, the lerp below turns that into the bounce back
+            state.scroll.target = Math.max(0, Math.min(state.scroll.target, state.scroll.limit));
+        }
+    };
 
     // The Render Loop
-    const fluidScrollRender = () => {
-        // LERP (Linear Interpolation) the scroll position
-        state.scroll.y += (state.scroll.target - state.scroll.y) * state.scroll.ease;
+    // Integrates against real frame time so 60/120/144 Hz displays share one feel
+    let lastFrameTime = performance.now();
+
+    const fluidScrollRender = (now = performance.now()) => {
+        // Clamp dt so a backgrounded tab doesn't resume with one giant leap
+        const dt = Math.min(Math.max((now - lastFrameTime) / 1000, 1 / 1000), 0.1);
+        lastFrameTime = now;
+
+        const prevY = state.scroll.y;
+        stepTouchFling(dt);
+        if (state.reducedMotion) {
+            // Native scrolling owns the position, we only mirror it
+            state.scroll.y = state.scroll.target = scrollWrapper.scrollTop;
+        } else {
+            // Exponential smoothing: `ease` is defined per 60 Hz frame, rescaled to dt
+            const lerp = 1 - Math.pow(1 - state.scroll.ease, dt * 60);
+            state.scroll.y += (state.scroll.target - state.scroll.y) * lerp;
+        }
 
-        // Calculate velocity (delta)
-        let vel = (state.scroll.target - state.scroll.y);
-        state.scroll.velocity = vel;
+        // Velocity in real units (px/s) plus a normalized 0-1 intensity
+        state.scroll.velocity = (state.scroll.y - prevY) / dt;
+        state.scroll.intensity = Math.min(1, Math.abs(state.scroll.velocity) / state.scroll.maxVelocity);
 
         // Apply physical transformation to DOM
-        scrollContent.style.transform = `translate3d(0, ${-state.scroll.y}px, 0)`;
-
-        // Update global bridges for WebGL and Audio
-        window.__SCROLL_MOMENTUM = state.scroll.velocity;
+        scrollContent.style.transform = state.reducedMotion ? 'none' : `translate3d(0, ${-state.scroll.y}px, 0)`;
 
         if (state.scroll.limit > 0) {
-            window.__GLOBAL_PROGRESS = Math.max(0, Math.min(1, state.scroll.y / state.scroll.limit));
+            const progress = Math.max(0, Math.min(1, state.scroll.y / state.scroll.limit));
+            if (progress !== state.scroll.progress) {
+                state.scroll.progress = progress;
+                ChronosBus.emit('progress', { progress });
+            }
+
             let progFrame = document.getElementById('scroll-progress');
-            if (progFrame) progFrame.style.transform = `translateY(${(window.__GLOBAL_PROGRESS - 1) * 100}%)`;
+            if (progFrame) progFrame.style.transform = `translateY(${(state.scroll.progress - 1) * 100}%)`;
+
+            // Keep the scrubber's slider semantics in step (whole percents only, to spare the DOM)
+            let pct = String(Math.round(state.scroll.progress * 100));
+            if (progressRail && progressRail.getAttribute('aria-valuenow') !== pct) {
+                progressRail.setAttribute('aria-valuenow', pct);
+            }
 
             // HUD Velocity Updates
             let velHud = document.querySelector('.velocity-bar');
             if (velHud) {
-                velHud.style.height = `${Math.min(100, Math.abs(state.scroll.velocity) * 2)}px`;
+                velHud.style.height = `${Math.min(100, state.scroll.intensity * 3000)}px`;
             }
 
-            // Fingerprint Tracking
-            if (window.CHRONOS_EFFECTS && window.CHRONOS_EFFECTS.Fingerprint) {
-                window.CHRONOS_EFFECTS.Fingerprint.recordData(Math.abs(state.scroll.velocity), window.__GLOBAL_PROGRESS);
-            }
         }
 
+        // One frame of motion for WebGL, audio and the effects (fingerprint, hourglass...)
+        ChronosBus.emit('scroll', {
+            y: state.scroll.y,
+            velocity: state.scroll.velocity,
+            intensity: state.scroll.intensity,
+            progress: state.scroll.progress,
+            dt
+        });
+
         // Feed the fake scroll position to GSAP!
         ScrollTrigger.update();
-
-        scrollRAF = requestAnimationFrame(fluidScrollRender);
     };
 
     // Tell GSAP about our custom scroll engine
@@ -206,6 +503,7 @@ const initSmoothScroll = () => {
             if (arguments.length) {
                 state.scroll.target = value;
                 state.scroll.y = value;
+                if (state.reducedMotion) scrollWrapper.scrollTop = value;
             }
             return state.scroll.y;
         },
@@ -220,65 +518,374 @@ const initSmoothScroll = () => {
         state.scroll.limit = scrollContent.getBoundingClientRect().height - window.innerHeight;
     });
 
-    // Boot
-    fluidScrollRender();
+    // Boot (the first frame back from a hidden tab starts a fresh dt)
+    loopWhileActive(fluidScrollRender, () => { lastFrameTime = performance.now(); });
+};
+
+
+/* ----- C.2 SCENE ROUTER & PUBLIC SEEK API ----- */
+// Deep links (#scene-horizon or #7) are routed into state.scroll.target, so the
+// momentum engine glides there instead of the browser teleporting the page.
+
+const router = {
+    seekTarget: null // Target of the last programmatic seek, mutes hash syncing while in flight
+};
+
+// Resolve a hash/id (section id or scene number) to its <section>
+const findScene = (ref) => {
+    const key = decodeURIComponent(String(ref)).replace(/^#/, '');
+    const scene = key ? sceneRegistry.find(key) : null;
+    return scene ? scene.el : null;
+};
+
+// Offset of a section inside the translated content (pin spacers included)
+const getSceneOffset = (sec) => {
+    return sec.getBoundingClientRect().top - scrollContent.getBoundingClientRect().top;
+};
+
+const seekTo = (value) => {
+    setScrollTarget(value);
+    router.seekTarget = state.scroll.target;
+};
+
+const seek = (progress) => {
+    seekTo(Math.max(0, Math.min(1, progress)) * state.scroll.limit);
+};
+
+const seekToScene = (id, { pushHistory = true } = {}) => {
+    const sec = findScene(id);
+    if (!sec) return false;
+
+    seekTo(getSceneOffset(sec));
+    if (pushHistory && location.hash !== `#${sec.id}`) {
+        history.pushState(null, '', `#${sec.id}`);
+    }
+    return true;
+};
+
+// Called by the scene triggers: keep the address bar in sync with what is on screen
+const syncHashToScene = (sec) => {
+    // Before boot the intro's trigger is already live at scroll 0; it must not overwrite a deep link
+    if (!state.isLoaded) return;
+    // A seek is still gliding through intermediate scenes, its hash is already set
+    if (router.seekTarget !== null && router.seekTarget === state.scroll.target) return;
+    router.seekTarget = null;
+
+    if (sec.id && location.hash !== `#${sec.id}`) {
+        history.replaceState(null, '', `#${sec.id}`);
+    }
+};
+
+// Previous/next section relative to where the scroll is heading
+const stepScene = (direction) => {
+    const sections = sceneRegistry.scenes.map(scene => scene.el);
+    const TOLERANCE = 4; // px: "already at this scene's start"
+
+    let current = 0;
+    sections.forEach((sec, i) => {
+        if (getSceneOffset(sec) <= state.scroll.target + TOLERANCE) current = i;
+    });
+
+    // Going back from the middle of a scene first returns to its start
+    let index = current + direction;
+    if (direction < 0 && state.scroll.target - getSceneOffset(sections[current]) > TOLERANCE) index = current;
+
+    const sec = sections[Math.max(0, Math.min(index, sections.length - 1))];
+    if (sec) seekToScene(sec.id);
+};
+
+const routeFromHash = () => {
+    if (location.hash) seekToScene(location.hash, { pushHistory: false });
+};
+
+const initSceneRouter = () => {
+    // We restore position ourselves through the scroll engine
+    if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
+
+    // Native fragment navigation scrolls the overflow:hidden wrapper behind our back
+    scrollWrapper.addEventListener('scroll', () => {
+        if (!state.reducedMotion) scrollWrapper.scrollTop = 0;
+    });
+
+    // Back/forward and manual hash edits animate through the momentum engine.
+    // Traversing between hash entries fires popstate too, so hashchange alone avoids a double seek
+    window.addEventListener('hashchange', routeFromHash);
+
+    // Deep link on first load: wait until the world is booted and measured. The hash is read
+    // now, so nothing that touches the address bar during the boot can lose it
+    const deepLink = location.hash;
+    ChronosBus.on('world:booted', () => {
+        if (deepLink) seekToScene(deepLink, { pushHistory: false });
+    });
+
+    window.Chronos = Object.assign(window.Chronos || {}, {
+        seek,
+        seekToScene
+    });
+};
+
+
+/* ----- C.3 FOCUS MANAGEMENT & SKIP LINKS ----- */
+// #smooth-content only moves by transform, so the browser can't bring a focused element
+// into view itself. We do it through the momentum engine, and offer skip-links per scene.
+const FOCUS_MARGIN = 80; // px kept clear at the viewport edges
+
+const initFocusManagement = () => {
+    // Nothing in the world is reachable until the loader is gone
+    scrollWrapper.inert = true;
+
+    document.addEventListener('focusin', (e) => {
+        const el = e.target;
+        if (state.reducedMotion || !scrollContent.contains(el)) return; // Native scroll handles calm mode
+
+        const rect = el.getBoundingClientRect();
+        const top = rect.top - scrollContent.getBoundingClientRect().top;
+        const viewTop = state.scroll.target;
+        const viewBottom = viewTop + window.innerHeight;
+
+        // Already on screen (or about to be): leave the scroll alone, e.g. after a mouse click
+        if (top >= viewTop + FOCUS_MARGIN && top + rect.height <= viewBottom - FOCUS_MARGIN) return;
+
+        // Tall targets (whole sections) align to their top, small ones centre
+        const tall = rect.height > window.innerHeight - FOCUS_MARGIN * 2;
+        setScrollTarget(tall ? top : top - (window.innerHeight - rect.height) / 2);
+    });
+
+    // One skip-link per scene, built from the markup so it never drifts from index.html
+    const skipNav = document.getElementById('skip-links');
+    ChronosBus.on('world:booted', () => {
+        scrollWrapper.inert = false;
+        if (!skipNav) return;
+
+        skipNav.innerHTML = '';
+        sceneRegistry.scenes.forEach(({ el: sec, number, title }) => {
+            const link = document.createElement('a');
+            link.href = `#${sec.id}`;
+            link.className = 'skip-link';
+            link.innerText = `${String(number).padStart(2, '0')} · ${title || sec.id}`;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                seekToScene(sec.id);
+                // Move the keyboard's reading position into the scene without a native jump
+                if (!sec.hasAttribute('tabindex')) sec.setAttribute('tabindex', '-1');
+                sec.focus({ preventScroll: true });
+            });
+            skipNav.appendChild(link);
+        });
+    });
+};
+
+
+/* ----- C.4 REDUCED MOTION ("CALM" MODE) ----- */
+// Auto-enabled by prefers-reduced-motion, overridable from the HUD. The choice is
+// remembered so a user who opts in or out doesn't have to do it on every visit.
+
+const MOTION_STORAGE_KEY = 'chronos.reducedMotion';
+
+const setReducedMotion = (enabled, { persist = false } = {}) => {
+    enabled = !!enabled;
+    if (persist) {
+        try { localStorage.setItem(MOTION_STORAGE_KEY, enabled ? '1' : '0'); } catch (e) { /* private mode */ }
+    }
+    if (enabled === state.reducedMotion) return;
+
+    // Hand the current position over between the momentum engine and native scroll
+    const y = state.scroll.y;
+    state.reducedMotion = enabled;
+    document.body.classList.toggle('reduced-motion', enabled);
+
+    if (enabled) {
+        scrollContent.style.transform = 'none';
+        scrollWrapper.scrollTop = y;
+    } else {
+        scrollWrapper.scrollTop = 0;
+    }
+    state.scroll.target = state.scroll.y = y;
+
+    const toggle = document.getElementById('motion-toggle');
+    if (toggle) toggle.setAttribute('aria-pressed', String(enabled));
+
+    ChronosBus.emit('motion', { reduced: enabled });
+};
+
+const initReducedMotion = () => {
+    const query = window.matchMedia('(prefers-reduced-motion: reduce)');
+    const stored = (() => {
+        try { return localStorage.getItem(MOTION_STORAGE_KEY); } catch (e) { return null; }
+    })();
+
+    // An explicit HUD choice wins over the OS setting
+    setReducedMotion(stored !== null ? stored === '1' : query.matches);
+    query.addEventListener('change', (e) => {
+        let hasOverride = false;
+        try { hasOverride = localStorage.getItem(MOTION_STORAGE_KEY) !== null; } catch (err) { /* ignore */ }
+        if (!hasOverride) setReducedMotion(e.matches);
+    });
+
+    const toggle = document.getElementById('motion-toggle');
+    if (toggle) {
+        toggle.addEventListener('click', () => setReducedMotion(!state.reducedMotion, { persist: true }));
+    }
+
+    window.Chronos = Object.assign(window.Chronos || {}, { setReducedMotion });
+};
+
+
+/* ----- C.5 PAGE LIFECYCLE ----- */
+// One owner for "is anyone looking". A hidden, frozen or bfcached page emits lifecycle
+// { active: false } and every module parks its rAF loops and timers (audio.js also suspends
+// its context). Time on the page is summed from performance.now() over active stretches,
+// so throttled timers can't skew the epilogue's count.
+
+const pageClock = { total: 0, since: 0, running: false };
+
+// ms the page has been entered and visible
+const activeElapsed = () => pageClock.total + (pageClock.running ? performance.now() - pageClock.since : 0);
+
+const runPageClock = (run) => {
+    if (run === pageClock.running) return;
+    const now = performance.now();
+    if (run) pageClock.since = now;
+    else pageClock.total += now - pageClock.since;
+    pageClock.running = run;
 };
 
+const setPageActive = (active) => {
+    if (active === state.pageActive) return;
+    state.pageActive = active;
+    runPageClock(active && state.isLoaded);
+
+    if (active) gsap.ticker.wake();
+    else gsap.ticker.sleep();
+
+    ChronosBus.emit('lifecycle', { active });
+};
+
+// Calls frame(now) every animation frame while the page is active. onResume runs before the
+// first frame after a sleep, e.g. to drop a stale timestamp.
+const loopWhileActive = (frame, onResume) => {
+    let frameId = null;
+    const loop = (now) => {
+        frame(now);
+        frameId = requestAnimationFrame(loop);
+    };
+
+    ChronosBus.on('lifecycle', ({ active }) => {
+        cancelAnimationFrame(frameId);
+        frameId = null;
+        if (!active) return;
+        if (onResume) onResume();
+        frameId = requestAnimationFrame(loop);
+    }, { replay: true });
+};
+
+const initLifecycle = () => {
+    const sync = () => setPageActive(document.visibilityState === 'visible');
+
+    document.addEventListener('visibilitychange', sync);
+    window.addEventListener('pageshow', sync); // Restored from the back/forward cache
+    window.addEventListener('pagehide', () => setPageActive(false));
+    document.addEventListener('freeze', () => setPageActive(false)); // Page Lifecycle API (Chromium)
+    document.addEventListener('resume', sync);
+
+    ChronosBus.on('world:booted', () => runPageClock(state.pageActive));
+
+    // Initial state, replayed to every loop registered later
+    state.pageActive = document.visibilityState === 'visible';
+    if (!state.pageActive) gsap.ticker.sleep();
+    ChronosBus.emit('lifecycle', { active: state.pageActive });
+};
 
 /* ----- D. ENTRANCE LOADER & LIFE CYCLE ----- */
-// Calculates a fake boot sequence, text scrambled loading
+// The percentage is real work: fonts and text splitting here, plus whatever the other modules
+// hand over on the 'preload' event (shader compile in canvas.js, sample baking in audio.js).
+// #enter-btn unlocks once all of it has settled; failures are listed but don't lock anyone out.
 const initLoaderSequence = () => {
-    let pct = 0;
     const pctNode = document.getElementById('loading-pct');
     const btn = document.getElementById('enter-btn');
     const hint = document.querySelector('.headphones-hint');
+    const errorNode = document.getElementById('loader-error');
+    const tasks = [];
 
-    splitTextCore(); // Prepare all DOM elements while loading
-
-    let loadInterval = setInterval(() => {
-        let jump = Math.floor(Math.random() * 15) + 1;
-        pct += jump;
+    const renderProgress = () => {
+        const done = tasks.reduce((sum, task) => sum + task.progress, 0);
+        const pct = tasks.length ? Math.floor((done / tasks.length) * 100) : 100;
+        pctNode.innerText = pct;
+        gsap.to('.loader-progress-bar', { width: pct + '%', duration: 0.4, ease: 'power2.out', overwrite: true });
+    };
 
-        if (pct >= 100) {
-            pct = 100;
-            clearInterval(loadInterval);
+    const track = (label, run) => {
+        const task = { label, progress: 0, error: null };
+        const report = (fraction) => {
+            task.progress = Math.max(task.progress, Math.min(fraction, 1));
+            renderProgress();
+        };
+        tasks.push(task);
+
+        task.promise = Promise.resolve()
+            .then(() => run(report))
+            .catch((err) => {
+                task.error = err;
+                console.error(`Preload "${label}" failed`, err);
+            })
+            .then(() => report(1));
+        return task.promise;
+    };
 
-            // Loading Finish state
-            setTimeout(() => {
-                hint.style.opacity = '1';
-                hint.style.transform = 'translateY(0)';
-                btn.classList.remove('disabled');
+    // Layout (and so every ScrollTrigger) depends on the web fonts; a slow font CDN only
+    // delays the gate so long, after that the fallback faces are good enough
+    const fontsReady = track('字体', () => document.fonts
+        ? Promise.race([document.fonts.ready, new Promise(resolve => setTimeout(resolve, 5000))])
+        : null);
+    track('文本切分', () => fontsReady.then(() => {
+        splitTextCore(); // Prepare all DOM elements while loading
+        ScrollTrigger.refresh();
+    }));
 
-                // Animate Button in
-                gsap.to(btn, { opacity: 1, y: 0, duration: 1, ease: "power3.out" });
+    ChronosBus.emit('preload', { track });
 
-                // Glitch the title
-                const titleChars = document.querySelectorAll('.loader-title .char');
-                gsap.to(titleChars, {
-                    delay: 0.5,
-                    duration: 0.1,
-                    opacity: 1,
-                    y: 0,
-                    stagger: 0.05,
-                    color: "rgba(179, 155, 130, 1)",
-                    onComplete: () => {
-                        document.querySelector('.loader-title').classList.add('glitch-text');
-                        document.querySelector('.loader-title').setAttribute('data-text', "CHRONOS");
-                    }
-                });
-            }, 500);
+    // Task promises never reject, so this is "everything settled"
+    Promise.all(tasks.map(task => task.promise)).then(() => {
+        const failed = tasks.filter(task => task.error);
+        if (failed.length) {
+            errorNode.textContent = `部分系统未能接入：${failed.map(task => task.label).join(' / ')}（将以降级模式运行）`;
+            errorNode.hidden = false;
+            document.getElementById('loader').classList.add('has-error');
         }
-        pctNode.innerText = pct;
-        document.querySelector('.loader-progress-bar').style.width = pct + '%';
-    }, 120);
+
+        // Loading Finish state
+        setTimeout(() => {
+            hint.style.opacity = '1';
+            hint.style.transform = 'translateY(0)';
+            btn.classList.remove('disabled');
+            btn.disabled = false;
+            document.getElementById('loader').setAttribute('aria-busy', 'false');
+
+            // Animate Button in
+            gsap.to(btn, { opacity: 1, y: 0, duration: 1, ease: "power3.out" });
+
+            // Glitch the title
+            const titleChars = document.querySelectorAll('.loader-title .char');
+            gsap.to(titleChars, {
+                delay: 0.5,
+                duration: 0.1,
+                opacity: 1,
+                y: 0,
+                stagger: 0.05,
+                color: "rgba(179, 155, 130, 1)",
+                onComplete: () => {
+                    document.querySelector('.loader-title').classList.add('glitch-text');
+                    document.querySelector('.loader-title').setAttribute('data-text', "CHRONOS");
+                }
+            });
+        }, 500);
+    });
 
     // Boot the world when button clicked
     btn.addEventListener('click', () => {
-        // Unlock Audio Context (MUST be done within user interaction)
-        if (window.AudioEngine_Boot) {
-            window.AudioEngine_Boot();
-            state.audioUnlocked = true;
-        }
+        // Unlock Audio Context (MUST be done within user interaction, so listeners run synchronously here)
+        ChronosBus.emit('boot');
+        state.audioUnlocked = true;
 
         // Hide overlay with dramatic fade
         gsap.to('.loader-overlay', {
@@ -287,11 +894,11 @@ const initLoaderSequence = () => {
             ease: 'power4.inOut',
             onComplete: () => {
                 document.getElementById('loader').style.display = 'none';
+                document.body.classList.remove('loading');
                 state.isLoaded = true;
 
                 // Dispatch event so animations know to begin
-                const event = new Event('world-booted');
-                window.dispatchEvent(event);
+                ChronosBus.emit('world:booted');
             }
         });
 
@@ -304,8 +911,284 @@ const initLoaderSequence = () => {
 };
 
 
-/* ----- E. GSAP SCENE DIRECTIVES ----- */
-// We map complex scroll scrubbing to specific DOM nodes here
+/* ----- E. SCENE REGISTRY ----- */
+// Every <section data-scene-id> is a scene. Its ScrollTrigger comes from data-* attributes
+// (data-scene-start / -end / -pin / -pin-spacing / -scrub / -toggle / -audio) and/or a JS directive
+// registered under the section id; markup wins, so a scene can be retuned in index.html.
+// Numbering, the scene indicator, hash routes, rail ticks and skip-links all follow DOM order.
+
+// "true" -> true, "1.5" -> 1.5, anything else stays a string
+const parseSceneAttr = (value) => {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return value !== '' && !isNaN(value) ? parseFloat(value) : value;
+};
+
+class SceneRegistry {
+    constructor() {
+        this.directives = {};
+        this.scenes = [];
+    }
+
+    // directive: { start, end, pin, pinSpacing, scrub, toggleClass,
+    //              animation(el), setup(scene), onEnter/onLeave/onEnterBack/onLeaveBack(scene, self),
+    //              onProgress(progress, scene, self) }
+    define(id, directive) {
+        this.directives[id] = directive;
+        return this;
+    }
+
+    readMarkup(sec) {
+        const map = {
+            sceneStart: 'start',
+            sceneEnd: 'end',
+            scenePin: 'pin',
+            scenePinSpacing: 'pinSpacing',
+            sceneScrub: 'scrub',
+            sceneToggle: 'toggleClass',
+            sceneAudio: 'audio', // Soundscape layer names, played by audio.js
+            sceneReverb: 'reverb', // Acoustic space (REVERB_ROOMS in audio.js)
+            sceneLook: 'look' // Background shader look (SCENE_LOOKS in canvas.js)
+        };
+        const config = {};
+        Object.keys(map).forEach(attr => {
+            if (sec.dataset[attr] !== undefined) config[map[attr]] = parseSceneAttr(sec.dataset[attr]);
+        });
+        return config;
+    }
+
+    find(ref) {
+        const key = String(ref);
+        return this.scenes.find(s => s.id === key || String(s.number) === key) || null;
+    }
+
+    build() {
+        const sections = Array.from(document.querySelectorAll('section[data-scene-id]'));
+
+        this.scenes = sections.map((sec, i) => {
+            // DOM order is the truth, whatever number the markup was written with
+            sec.setAttribute('data-scene-id', String(i + 1));
+
+            const scene = {
+                index: i,
+                number: i + 1,
+                id: sec.id,
+                el: sec,
+                title: sec.getAttribute('data-scene-title') || '',
+                config: Object.assign({}, this.directives[sec.id], this.readMarkup(sec)),
+                trigger: null
+            };
+
+            this.createBuiltIns(scene);
+            scene.trigger = this.createTrigger(scene);
+            if (scene.config.setup) scene.config.setup(scene);
+            return scene;
+        });
+
+        const total = document.querySelector('.total-scenes');
+        if (total) total.innerText = String(this.scenes.length).padStart(2, '0');
+    }
+
+    // Built in for every scene, broadcast on the bus:
+    // "active" when it reaches the reading line (indicator, transition wipe, URL hash),
+    // enter/leave/progress for the whole time any part of it is on screen
+    createBuiltIns(scene) {
+        ScrollTrigger.create({
+            scroller: scrollWrapper,
+            trigger: scene.el,
+            start: "top center+=20%",
+            onEnter: () => {
+                ChronosBus.emit('scene:active', { scene, direction: 1 });
+                syncHashToScene(scene.el);
+            },
+            onEnterBack: () => {
+                ChronosBus.emit('scene:active', { scene, direction: -1 });
+                syncHashToScene(scene.el);
+            }
+        });
+
+        ScrollTrigger.create({
+            scroller: scrollWrapper,
+            trigger: scene.el,
+            start: "top bottom",
+            end: "bottom top",
+            onEnter: () => ChronosBus.emit('scene:enter', { scene, direction: 1 }),
+            onEnterBack: () => ChronosBus.emit('scene:enter', { scene, direction: -1 }),
+            onLeave: () => ChronosBus.emit('scene:leave', { scene, direction: 1 }),
+            onLeaveBack: () => ChronosBus.emit('scene:leave', { scene, direction: -1 }),
+            onUpdate: (self) => ChronosBus.emit('scene:progress', { scene, progress: self.progress })
+        });
+    }
+
+    // The scene's own trigger, only when it declares something for one to do
+    createTrigger(scene) {
+        const c = scene.config;
+        const wantsTrigger = ['pin', 'scrub', 'toggleClass', 'animation', 'onEnter', 'onLeave', 'onEnterBack', 'onLeaveBack', 'onProgress']
+            .some(key => c[key] !== undefined);
+        if (!wantsTrigger) return null;
+
+        const callback = (name) => c[name] ? (self) => c[name](scene, self) : undefined;
+        const pin = typeof c.pin === 'string' ? scene.el.querySelector(c.pin) || c.pin : c.pin;
+
+        return ScrollTrigger.create({
+            scroller: scrollWrapper,
+            trigger: scene.el,
+            start: c.start || "top bottom",
+            end: c.end || "bottom top",
+            pin,
+            pinSpacing: c.pinSpacing,
+            scrub: c.scrub,
+            toggleClass: c.toggleClass,
+            animation: c.animation ? c.animation(scene.el) : undefined,
+            onEnter: callback('onEnter'),
+            onLeave: callback('onLeave'),
+            onEnterBack: callback('onEnterBack'),
+            onLeaveBack: callback('onLeaveBack'),
+            onUpdate: c.onProgress ? (self) => c.onProgress(self.progress, scene, self) : undefined
+        });
+    }
+}
+
+const sceneRegistry = new SceneRegistry();
+
+// ----- Scene directives (keyed by section id; a missing section is simply skipped) ----- //
+
+// Dilation Scene - Interactive Velocity Stretch
+// This watches the velocity and applies it specifically to a DOM node
+sceneRegistry.define('scene-dilation', {
+    setup: (scene) => {
+        const dilator = scene.el.querySelector('#stretch-element-1');
+        if (!dilator) return;
+
+        gsap.ticker.add(() => {
+            if (!state.isLoaded) return;
+            if (state.reducedMotion) {
+                dilator.style.transform = '';
+                dilator.style.letterSpacing = '';
+                return;
+            }
+
+            // Squeeze and stretch calculation based purely on momentum
+            // clamp to avoid breaking bounds
+            // (tuned against intensity: 1.0 used to be a 1500px target/current gap)
+            let direction = Math.sign(state.scroll.velocity);
+            let push = state.scroll.intensity * 75;
+            let scaleX = 1 + push;
+            let scaleY = Math.max(0.2, 1 - (push * 0.3));
+            let skew = direction * state.scroll.intensity * 150;
+
+            // Manually apply to avoid GSAP overwrite conflicts
+            dilator.style.transform = `scale(${scaleX}, ${scaleY}) skewY(${skew}deg)`;
+            dilator.style.letterSpacing = `${push * 10}px`;
+        });
+    }
+});
+
+// Fragments Scene - Memory Reveal
+sceneRegistry.define('scene-fragments', {
+    setup: (scene) => {
+        scene.el.querySelectorAll('.frag-item').forEach(frag => {
+            gsap.fromTo(frag,
+                { opacity: 0, y: 150, filter: 'url(#glitch) blur(10px)' },
+                {
+                    opacity: 1,
+                    y: 0,
+                    filter: 'blur(0px)',
+                    duration: 1.5,
+                    ease: 'back.out(1.7)',
+                    scrollTrigger: {
+                        scroller: scrollWrapper,
+                        trigger: frag,
+                        start: 'top 80%',
+                        toggleActions: 'play none none reverse'
+                    }
+                }
+            );
+        });
+    }
+});
+
+// Scene 03.5: Timeline
+sceneRegistry.define('scene-timeline', {
+    setup: (scene) => {
+        scene.el.querySelectorAll('.timeline-node').forEach((node, i) => {
+            const activate = () => ChronosBus.emit('timeline:node', { index: i });
+            ScrollTrigger.create({
+                scroller: scrollWrapper,
+                trigger: node,
+                start: "top center+=20%",
+                onEnter: activate,
+                onEnterBack: activate
+            });
+        });
+    }
+});
+
+// Horizon Scene - Sticky Black Hole Pin
+// Range and pinning are declared on the section in index.html (pinned for 1.5 viewport heights)
+// Space tears near the black hole: canvas.js's post chain runs heavy aberration and radial blur here
+sceneRegistry.define('scene-horizon', {
+    post: {
+        aberration: { amount: 0.012, velocity: 0.08 },
+        radialBlur: { amount: 0.04, velocity: 0.25 }
+    },
+    animation: (el) => gsap.to(el.querySelector('.event-horizon'), {
+        scale: 6, // Black hole engulfs the screen
+        boxShadow: "inset 0 0 100px #000, 0 0 200px rgba(0,0,0,1)",
+        ease: "power1.in"
+    })
+});
+
+// Scene 04.5: Quantum Tunnel
+sceneRegistry.define('scene-quantum', {
+    start: "top center",
+    onEnter: (scene) => {
+        scene.el.querySelectorAll('.metric-value').forEach(el => {
+            let target = parseFloat(el.getAttribute('data-val'));
+            gsap.to({ val: 0 }, {
+                val: target,
+                duration: 3,
+                ease: "power2.out",
+                onUpdate: function () {
+                    el.innerText = target % 1 === 0 ? Math.floor(this.targets()[0].val) : this.targets()[0].val.toFixed(2);
+                }
+            });
+        });
+    }
+});
+
+// Infinite Loop Scene - Marquee Scrubber
+// Each track scrubs at its own lag so the rows shear against each other
+sceneRegistry.define('scene-loop', {
+    setup: (scene) => {
+        [
+            { sel: '#marquee-1', xPercent: -50, scrub: 1 },
+            { sel: '#marquee-2', xPercent: 50, scrub: 1.5 },
+            { sel: '#marquee-3', xPercent: -60, scrub: 2.5 }
+        ].forEach(track => {
+            const el = scene.el.querySelector(track.sel);
+            if (!el) return;
+            gsap.to(el, {
+                xPercent: track.xPercent,
+                ease: "none",
+                scrollTrigger: {
+                    scroller: scrollWrapper,
+                    trigger: scene.el,
+                    start: "top bottom",
+                    end: "bottom top",
+                    scrub: track.scrub
+                }
+            });
+        });
+    }
+});
+
+// The hourglass, Dali clocks, fingerprint and scene wipe need no directive:
+// effects.js listens for their scene:progress / scene:active events on the bus
+
+
+/* ----- E.2 GSAP SCENE DIRECTIVES ----- */
+// Scene-independent scroll scrubbing, plus building the registry above
 const initMasterTimeline = () => {
 
     // Parallax Helpers
@@ -328,7 +1211,7 @@ const initMasterTimeline = () => {
     });
 
     // Intro Sequence (Triggers on world boot)
-    window.addEventListener('world-booted', () => {
+    ChronosBus.on('world:booted', () => {
         let tl = gsap.timeline();
 
         tl.to('#scene-intro .char', {
@@ -351,200 +1234,9 @@ const initMasterTimeline = () => {
             }, "-=0.5");
     });
 
-    // Dilation Scene - Interactive Velocity Stretch
-    // This watches the velocity and applies it specifically to a DOM node
-    const dilator = document.getElementById('stretch-element-1');
-    gsap.ticker.add(() => {
-        if (!state.isLoaded || !dilator) return;
-
-        // Squeeze and stretch calculation based purely on momentum
-        // clamp to avoid breaking bounds
-        let push = Math.abs(state.scroll.velocity) * 0.05;
-        let scaleX = 1 + push;
-        let scaleY = Math.max(0.2, 1 - (push * 0.3));
-        let skew = state.scroll.velocity * 0.1;
-
-        // Manually apply to avoid GSAP overwrite conflicts
-        dilator.style.transform = `scale(${scaleX}, ${scaleY}) skewY(${skew}deg)`;
-        dilator.style.letterSpacing = `${push * 10}px`;
-    });
-
-    // Fragments Scene - Memory Reveal
-    const fragments = document.querySelectorAll('.frag-item');
-    fragments.forEach((frag, i) => {
-        gsap.fromTo(frag,
-            { opacity: 0, y: 150, filter: 'url(#glitch) blur(10px)' },
-            {
-                opacity: 1,
-                y: 0,
-                filter: 'blur(0px)',
-                duration: 1.5,
-                ease: 'back.out(1.7)',
-                scrollTrigger: {
-                    scroller: scrollWrapper,
-                    trigger: frag,
-                    start: 'top 80%',
-                    toggleActions: 'play none none reverse'
-                }
-            }
-        );
-    });
-
-    // Horizon Scene - Sticky Black Hole Pin
-    ScrollTrigger.create({
-        scroller: scrollWrapper,
-        trigger: "#scene-horizon",
-        start: "top top",
-        end: "+=150vh", // Pin for 1.5 viewport heights
-        pin: "#horizon-pin",
-        pinSpacing: true, // creates the scroll gap
-        animation: gsap.to('.event-horizon', {
-            scale: 6, // Black hole engulfs the screen
-            boxShadow: "inset 0 0 100px #000, 0 0 200px rgba(0,0,0,1)",
-            ease: "power1.in"
-        }),
-        scrub: true
-    });
-
-    // Infinite Loop Scene - Marquee Scrubber
-    gsap.to('#marquee-1', {
-        xPercent: -50,
-        ease: "none",
-        scrollTrigger: {
-            scroller: scrollWrapper,
-            trigger: "#scene-loop",
-            start: "top bottom",
-            end: "bottom top",
-            scrub: 1
-        }
-    });
-
-    gsap.to('#marquee-2', {
-        xPercent: 50,
-        ease: "none",
-        scrollTrigger: {
-            scroller: scrollWrapper,
-            trigger: "#scene-loop",
-            start: "top bottom",
-            end: "bottom top",
-            scrub: 1.5
-        }
-    });
-
-    gsap.to('#marquee-3', {
-        xPercent: -60,
-        ease: "none",
-        scrollTrigger: {
-            scroller: scrollWrapper,
-            trigger: "#scene-loop",
-            start: "top bottom",
-            end: "bottom top",
-            scrub: 2.5
-        }
-    });
-
-    // --- NEW SCENE ANIMATIONS ---
-
-    // Scene 02.5: Hourglass
-    ScrollTrigger.create({
-        scroller: scrollWrapper,
-        trigger: ".scene-02-5-hourglass",
-        start: "top bottom",
-        end: "bottom top",
-        onUpdate: self => {
-            if (window.CHRONOS_EFFECTS && window.CHRONOS_EFFECTS.Hourglass) {
-                window.CHRONOS_EFFECTS.Hourglass.setScrollData(self.progress, state.scroll.velocity);
-            }
-        }
-    });
-
-    // Scene 03.5: Timeline
-    const timelineNodes = document.querySelectorAll('.timeline-node');
-    timelineNodes.forEach((node, i) => {
-        ScrollTrigger.create({
-            scroller: scrollWrapper,
-            trigger: node,
-            start: "top center+=20%",
-            onEnter: () => {
-                if (window.CHRONOS_EFFECTS && window.CHRONOS_EFFECTS.Timeline) {
-                    window.CHRONOS_EFFECTS.Timeline.activateNode(i);
-                }
-            },
-            onEnterBack: () => {
-                if (window.CHRONOS_EFFECTS && window.CHRONOS_EFFECTS.Timeline) {
-                    window.CHRONOS_EFFECTS.Timeline.activateNode(i);
-                }
-            }
-        });
-    });
-
-    // Scene 04.5: Quantum Tunnel
-    const metrics = document.querySelectorAll('.metric-value');
-    ScrollTrigger.create({
-        scroller: scrollWrapper,
-        trigger: ".scene-04-5-quantum",
-        start: "top center",
-        onEnter: () => {
-            metrics.forEach(el => {
-                let target = parseFloat(el.getAttribute('data-val'));
-                gsap.to({ val: 0 }, {
-                    val: target,
-                    duration: 3,
-                    ease: "power2.out",
-                    onUpdate: function () {
-                        el.innerText = target % 1 === 0 ? Math.floor(this.targets()[0].val) : this.targets()[0].val.toFixed(2);
-                    }
-                });
-            });
-        }
-    });
-
-    // Scene 06.5: Dali Clock
-    ScrollTrigger.create({
-        scroller: scrollWrapper,
-        trigger: ".scene-06-5-dali",
-        start: "top bottom",
-        end: "bottom top",
-        scrub: true,
-        onUpdate: self => {
-            if (window.CHRONOS_EFFECTS && window.CHRONOS_EFFECTS.Dali) {
-                window.CHRONOS_EFFECTS.Dali.setMeltFactor(self.progress * 1.5);
-            }
-        }
-    });
-
-    // Scene 08: End Fingerprint Generation
-    ScrollTrigger.create({
-        scroller: scrollWrapper,
-        trigger: "#scene-end",
-        start: "top center",
-        onEnter: () => {
-            if (window.CHRONOS_EFFECTS && window.CHRONOS_EFFECTS.Fingerprint) {
-                window.CHRONOS_EFFECTS.Fingerprint.generate();
-            }
-        }
-    });
-
-    // Global Scene Transition Controller
-    const sections = document.querySelectorAll('section');
-    sections.forEach((sec, i) => {
-        ScrollTrigger.create({
-            scroller: scrollWrapper,
-            trigger: sec,
-            start: "top center+=20%",
-            onEnter: () => {
-                if (window.CHRONOS_EFFECTS && window.CHRONOS_EFFECTS.Transition) {
-                    window.CHRONOS_EFFECTS.Transition.updateSceneIndicator(i + 1);
-                    if (i > 0) window.CHRONOS_EFFECTS.Transition.triggerTransition();
-                }
-            },
-            onEnterBack: () => {
-                if (window.CHRONOS_EFFECTS && window.CHRONOS_EFFECTS.Transition) {
-                    window.CHRONOS_EFFECTS.Transition.updateSceneIndicator(i + 1);
-                }
-            }
-        });
-    });
+    // Every scene's triggers, in DOM order
+    sceneRegistry.build();
+    window.Chronos = Object.assign(window.Chronos || {}, { scenes: sceneRegistry });
 
     // Random floating Kanji animation
     gsap.utils.toArray('.floating-kanji span').forEach(span => {
@@ -565,28 +1257,43 @@ const initMasterTimeline = () => {
 
     // Rewind Button Logic
     document.getElementById('btn-rewind').addEventListener('click', () => {
-        // Shoot back up to the top, manipulating the custom momentum
-        gsap.to(state.scroll, {
-            target: 0,
-            y: 0,
-            duration: 3,
-            ease: "expo.inOut"
-        });
+        const duration = state.reducedMotion ? 0 : 3;
+
+        if (state.reducedMotion) {
+            // Calm mode: no 3s rush and no full-screen glitch, just go back
+            setScrollTarget(0);
+        } else {
+            // Shoot back up to the top, manipulating the custom momentum
+            gsap.to(state.scroll, {
+                target: 0,
+                y: 0,
+                duration,
+                ease: "expo.inOut"
+            });
 
-        // Trigger a huge glitch via SVG filter assignment globally
-        document.body.style.filter = "url(#glitch)";
-        setTimeout(() => document.body.style.filter = "none", 3000);
+            // Trigger a huge glitch via SVG filter assignment globally
+            document.body.style.filter = "url(#glitch)";
+            setTimeout(() => document.body.style.filter = "none", duration * 1000);
+        }
 
-        if (window.AudioEngine_Rewind) window.AudioEngine_Rewind();
+        // audio.js plays the last few seconds backwards over the same stretch
+        ChronosBus.emit('rewind', { duration });
     });
 
-    // Global Time Wasted Counter Tool
-    setInterval(() => {
-        if (state.isLoaded) {
-            state.timeWasted += 1;
-            document.getElementById('time-wasted').innerText = state.timeWasted;
-        }
-    }, 1000);
+    // Global Time Wasted Counter Tool (measured in C.5; the timer only repaints, and sleeps with the page)
+    const wastedNode = document.getElementById('time-wasted');
+    let wastedTimer = null;
+    const showTimeWasted = () => {
+        const seconds = Math.floor(activeElapsed() / 1000);
+        if (seconds === state.timeWasted) return;
+        state.timeWasted = seconds;
+        wastedNode.innerText = seconds;
+    };
+    ChronosBus.on('lifecycle', ({ active }) => {
+        clearInterval(wastedTimer);
+        wastedTimer = active ? setInterval(showTimeWasted, 250) : null;
+        if (active) showTimeWasted();
+    }, { replay: true });
 
     // Global HUD Clock
     const clockNode = document.getElementById('global-clock');
@@ -599,16 +1306,25 @@ const initMasterTimeline = () => {
 
         // Update Quantum Flux based on math and scroll momentum
         if (fluxVal1 && fluxVal2) {
-            let baseFlux = Math.random() * 0.5 + Math.abs(window.__SCROLL_MOMENTUM || 0) * 0.01;
+            let baseFlux = Math.random() * 0.5 + state.scroll.intensity * 15;
             fluxVal1.innerText = baseFlux.toFixed(3);
 
-            let entropy = (d.getTime() % 10000) / 10000 + window.__GLOBAL_PROGRESS;
+            let entropy = (d.getTime() % 10000) / 10000 + state.scroll.progress;
             fluxVal2.innerText = entropy.toFixed(3);
         }
 
-        requestAnimationFrame(updateGlobalHUD);
     };
-    updateGlobalHUD();
+    loopWhileActive(updateGlobalHUD);
+
+    // Flash the clock on every audible tick (audio.js schedules ahead and says when it lands)
+    ChronosBus.on('audio:tick', ({ at, ghost }) => {
+        if (ghost) return;
+        setTimeout(() => {
+            clockNode.classList.remove('is-ticking');
+            void clockNode.offsetWidth; // Restart the animation
+            clockNode.classList.add('is-ticking');
+        }, Math.max(0, at - performance.now()));
+    });
 };
 
 /* ----- F. HUD & CURSOR TRACKER ----- */
@@ -622,6 +1338,7 @@ const initCursor = () => {
     window.addEventListener('mousemove', (e) => {
         state.mouse.x = e.clientX;
         state.mouse.y = e.clientY;
+        ChronosBus.emit('pointer', { x: e.clientX, y: e.clientY }); // audio.js turns the listener's head
 
         // Hard tether the dot to the exact mouse pixel
         dot.style.transform = `translate3d(${state.mouse.x}px, ${state.mouse.y}px, 0) translate(-50%, -50%)`;
@@ -632,16 +1349,15 @@ const initCursor = () => {
         ringX += (state.mouse.x - ringX) * 0.15;
         ringY += (state.mouse.y - ringY) * 0.15;
         ring.style.transform = `translate3d(${ringX}px, ${ringY}px, 0) translate(-50%, -50%)`;
-        requestAnimationFrame(renderRing);
     };
-    renderRing();
+    loopWhileActive(renderRing);
 
     // Interaction states
     document.documentElement.addEventListener('mousedown', () => document.body.classList.add('cursor-active'));
     document.documentElement.addEventListener('mouseup', () => document.body.classList.remove('cursor-active'));
 
     // Add magnetic hover interactions to buttons
-    const magneticElements = document.querySelectorAll('button, .audio-toggle, .rewind-btn');
+    const magneticElements = document.querySelectorAll('button, .audio-toggle, .rewind-btn, .hud-progress-frame');
     magneticElements.forEach(el => {
         el.addEventListener('mouseenter', () => document.body.classList.add('cursor-active'));
         el.addEventListener('mouseleave', () => document.body.classList.remove('cursor-active'));
@@ -649,18 +1365,235 @@ const initCursor = () => {
 };
 
 
+/* ----- F.2 PROGRESS RAIL SCRUBBER ----- */
+// The right-hand rail is both the progress readout and a way to travel:
+// click to seek, drag to scrub, hover to see which scene you'd land in.
+const initProgressScrubber = () => {
+    const rail = progressRail;
+    if (!rail) return;
+
+    const tickLayer = document.getElementById('progress-ticks');
+    const preview = document.getElementById('progress-preview');
+    const previewIndex = preview.querySelector('.preview-index');
+    const previewTitle = preview.querySelector('.preview-title');
+    const SNAP_DISTANCE = 6; // px from a tick that snaps a click onto the scene start
+
+    let marks = [];
+    let scrubbing = false;
+
+    // Each scene's start as 0-1 progress, re-measured whenever ScrollTrigger re-lays out
+    const buildTicks = () => {
+        if (state.scroll.limit <= 0) return;
+        tickLayer.innerHTML = '';
+        marks = sceneRegistry.scenes.map(({ el: sec, number, title }) => {
+            const progress = Math.max(0, Math.min(1, getSceneOffset(sec) / state.scroll.limit));
+            const tick = document.createElement('div');
+            tick.className = 'progress-tick';
+            tick.style.top = `${progress * 100}%`;
+            tickLayer.appendChild(tick);
+            return { sec, tick, progress, id: number, title };
+        });
+    };
+
+    const progressAt = (clientY) => {
+        const rect = rail.getBoundingClientRect();
+        return Math.max(0, Math.min(1, (clientY - rect.top) / rect.height));
+    };
+
+    // The scene whose range contains this progress
+    const markAt = (progress) => {
+        let hit = marks[0];
+        marks.forEach(m => { if (m.progress <= progress) hit = m; });
+        return hit;
+    };
+
+    const snapMark = (clientY) => {
+        const rect = rail.getBoundingClientRect();
+        return marks.find(m => Math.abs(rect.top + m.progress * rect.height - clientY) <= SNAP_DISTANCE) || null;
+    };
+
+    const showPreview = (clientY) => {
+        const progress = progressAt(clientY);
+        const mark = markAt(progress);
+        if (!mark) return;
+
+        previewIndex.innerText = String(mark.id).padStart(2, '0');
+        previewTitle.innerText = mark.title;
+        preview.style.top = `${progress * 100}%`;
+        marks.forEach(m => m.tick.classList.toggle('is-hovered', m === mark));
+        rail.classList.add('is-previewing');
+    };
+
+    const hidePreview = () => {
+        rail.classList.remove('is-previewing');
+        marks.forEach(m => m.tick.classList.remove('is-hovered'));
+    };
+
+    rail.addEventListener('pointerdown', (e) => {
+        if (!state.isLoaded) return;
+        e.preventDefault();
+        rail.setPointerCapture(e.pointerId);
+        scrubbing = true;
+
+        // A click right on a tick lands exactly on that scene (and its hash)
+        const snapped = snapMark(e.clientY);
+        if (snapped) {
+            seekToScene(snapped.sec.id);
+        } else {
+            setScrollTarget(progressAt(e.clientY) * state.scroll.limit);
+        }
+        showPreview(e.clientY);
+    });
+
+    rail.addEventListener('pointermove', (e) => {
+        if (!state.isLoaded) return;
+        // Dragging moves the target, the momentum engine does the travelling
+        if (scrubbing) setScrollTarget(progressAt(e.clientY) * state.scroll.limit);
+        showPreview(e.clientY);
+    });
+
+    const endScrub = (e) => {
+        scrubbing = false;
+        if (rail.hasPointerCapture(e.pointerId)) rail.releasePointerCapture(e.pointerId);
+        if (e.pointerType !== 'mouse') hidePreview();
+    };
+    rail.addEventListener('pointerup', endScrub);
+    rail.addEventListener('pointercancel', endScrub);
+    rail.addEventListener('pointerleave', () => {
+        if (!scrubbing) hidePreview();
+    });
+
+    // Keyboard: it is announced as a slider, so it moves like one. Arrows step 1%, pages 10%;
+    // handled here so the page-wide keys don't scroll a second time
+    rail.addEventListener('keydown', (e) => {
+        if (!state.isLoaded || e.altKey || e.ctrlKey || e.metaKey) return;
+        const current = state.scroll.limit > 0 ? state.scroll.target / state.scroll.limit : 0;
+        const steps = { ArrowDown: 0.01, ArrowRight: 0.01, ArrowUp: -0.01, ArrowLeft: -0.01, PageDown: 0.1, PageUp: -0.1 };
+        let progress;
+        if (e.key in steps) progress = current + steps[e.key];
+        else if (e.key === 'Home') progress = 0;
+        else if (e.key === 'End') progress = 1;
+        else return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        setScrollTarget(Math.max(0, Math.min(1, progress)) * state.scroll.limit);
+    });
+
+    // aria-valuenow follows the scroll engine (see fluidScrollRender); the text adds the scene it lands in
+    let valueText = '';
+    ChronosBus.on('progress', ({ progress }) => {
+        const mark = markAt(progress);
+        const text = `${Math.round(progress * 100)}%${mark ? ` · ${mark.title}` : ''}`;
+        if (text !== valueText) rail.setAttribute('aria-valuetext', valueText = text);
+    });
+
+    ScrollTrigger.addEventListener('refresh', buildTicks);
+    ChronosBus.on('world:booted', buildTicks);
+    buildTicks();
+};
+
+
+/* ----- F.3 AUDIO MIXER PANEL ----- */
+// #audio-toggle opens a small panel: master mute plus one fader per audio.js bus.
+// Settings are remembered across visits; audio.js applies them whenever it boots.
+
+const MIXER_STORAGE_KEY = 'chronos.mixer';
+
+const initAudioMixer = () => {
+    const toggle = document.getElementById('audio-toggle');
+    const panel = document.getElementById('audio-mixer');
+    const muteBtn = document.getElementById('mixer-mute');
+    if (!toggle || !panel) return;
+
+    const settings = { muted: false, levels: { ambient: 1, ticks: 1, sfx: 1, reverb: 1 } };
+    try {
+        const stored = JSON.parse(localStorage.getItem(MIXER_STORAGE_KEY));
+        if (stored) {
+            settings.muted = !!stored.muted;
+            Object.keys(settings.levels).forEach(name => {
+                if (stored.levels && typeof stored.levels[name] === 'number') settings.levels[name] = stored.levels[name];
+            });
+        }
+    } catch (e) { /* private mode or a corrupt entry: keep the defaults */ }
+
+    const save = () => {
+        try { localStorage.setItem(MIXER_STORAGE_KEY, JSON.stringify(settings)); } catch (e) { /* private mode */ }
+    };
+
+    const setMuted = (muted) => {
+        settings.muted = muted;
+        toggle.classList.toggle('muted', muted);
+        muteBtn.setAttribute('aria-pressed', String(muted));
+        ChronosBus.emit('mute', { muted });
+    };
+
+    const setOpen = (open) => {
+        panel.hidden = !open;
+        toggle.setAttribute('aria-expanded', String(open));
+    };
+
+    panel.querySelectorAll('input[data-mix-bus]').forEach(input => {
+        const name = input.dataset.mixBus;
+        input.value = Math.round(settings.levels[name] * 100);
+        input.addEventListener('input', () => {
+            settings.levels[name] = input.value / 100;
+            ChronosBus.emit('mix', { levels: { ...settings.levels } });
+            save();
+        });
+    });
+
+    toggle.addEventListener('click', () => setOpen(panel.hidden));
+    muteBtn.addEventListener('click', () => {
+        setMuted(!settings.muted);
+        save();
+    });
+
+    // Close on a click elsewhere or Escape
+    document.addEventListener('click', (e) => {
+        if (!panel.hidden && !panel.contains(e.target) && !toggle.contains(e.target)) setOpen(false);
+    });
+    panel.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape') return;
+        setOpen(false);
+        toggle.focus();
+    });
+
+    // audio.js is already listening; it holds these until its context exists
+    ChronosBus.emit('mix', { levels: { ...settings.levels } });
+    setMuted(settings.muted);
+};
+
+/* ----- F.4 AUDIO-REACTIVE HUD ----- */
+// audio.js publishes the master output's band levels every frame. The #audio-toggle bars become
+// a real meter (bass, mid, high, overall) and the black hole swells with the rumble; both are
+// driven through CSS custom properties so the stylesheet owns the look.
+
+const initAudioReactivity = () => {
+    const toggle = document.getElementById('audio-toggle');
+    const bars = toggle ? toggle.querySelectorAll('.bar') : [];
+    const blackHole = document.querySelector('.black-hole-visual');
+
+    ChronosBus.on('audio:levels', ({ bass, mid, high, rms }) => {
+        if (toggle && !toggle.classList.contains('is-metering')) toggle.classList.add('is-metering');
+        [bass, mid, high, rms].forEach((level, i) => {
+            if (bars[i]) bars[i].style.setProperty('--level', level.toFixed(3));
+        });
+        if (blackHole) blackHole.style.setProperty('--rumble', bass.toFixed(3));
+    });
+};
+
 /* ----- BOOTSTRAP ----- */
 document.addEventListener("DOMContentLoaded", () => {
+    initLifecycle();
     initCursor();
+    initReducedMotion();
     initSmoothScroll();
+    initSceneRouter();
+    initFocusManagement();
     initLoaderSequence();
     initMasterTimeline();
-
-    // Toggle mute
-    document.getElementById('audio-toggle').addEventListener('click', function (e) {
-        this.classList.toggle('muted');
-        if (window.AudioEngine_ToggleMute) {
-            window.AudioEngine_ToggleMute();
-        }
-    });
+    initProgressScrubber();
+    initAudioMixer();
+    initAudioReactivity();
 });